@@ -9,8 +9,37 @@ const DomKit = (function () {
   const componentCache = new Map();
   const componentRegistry = new Map();
   const loadingComponents = new Map();
+  const failedComponents = new Map();
+  const componentFallbacks = new Map();
   let COMPONENT_BASE_URL = '';
   let COMPONENT_PATH = '/components/';
+  let COMPONENT_LOADER = 'script'; // 'script' or 'module'
+  let importModule = (url) => import(url);
+  let LOAD_TIMEOUT = 10000; // ms per attempt, 0 to wait forever
+  let LOAD_RETRIES = 2;
+  let RETRY_DELAY = 500; // ms before the first retry, doubled after each one
+
+  // Tag for rendering several siblings without a wrapper element
+  const Fragment = Symbol.for('domkit.fragment');
+
+  // Tag for rendering children into another DOM container (createPortal)
+  const Portal = Symbol.for('domkit.portal');
+
+  // Component files loaded from a <script> announce themselves by calling the
+  // global registerDomKitComponent(name, component). The global is only set
+  // when such a script is about to load, so importing DomKit defines no globals.
+  const exportedComponents = new Map();
+
+  const registerDomKitComponent = (name, component) => {
+    exportedComponents.set(name, component);
+    console.log(`Component registered: ${name}`);
+  };
+
+  const installComponentHook = () => {
+    if (typeof window !== 'undefined' && !window.registerDomKitComponent) {
+      window.registerDomKitComponent = registerDomKitComponent;
+    }
+  };
 
   // Render request management (FIX: Race condition protection)
   const renderRequests = new WeakMap();
@@ -26,15 +55,71 @@ const DomKit = (function () {
       COMPONENT_PATH = settings.componentPath;
     }
 
+    if (settings.loader) {
+      if (settings.loader === 'script' || settings.loader === 'module') {
+        COMPONENT_LOADER = settings.loader;
+      } else {
+        console.warn(`Unknown component loader "${settings.loader}", expected "script" or "module"`);
+      }
+    }
+
+    // Bundlers need a static import() they can see, e.g. (url) => import(/* @vite-ignore */ url)
+    if (typeof settings.importModule === 'function') {
+      importModule = settings.importModule;
+    }
+
+    if (typeof settings.timeout === 'number') {
+      LOAD_TIMEOUT = settings.timeout;
+    }
+
+    if (typeof settings.retries === 'number') {
+      LOAD_RETRIES = settings.retries;
+    }
+
+    if (typeof settings.retryDelay === 'number') {
+      RETRY_DELAY = settings.retryDelay;
+    }
+
+    // Components map a name to a path, or to { path, fallback }
     if (settings.components) {
-      Object.entries(settings.components).forEach(([name, path]) => {
-        registerComponent(name, path);
+      Object.entries(settings.components).forEach(([name, config]) => {
+        if (config && typeof config === 'object') {
+          registerComponent(name, config.path, config);
+        } else {
+          registerComponent(name, config);
+        }
       });
     }
 
     console.log(`Component loader configured: ${COMPONENT_BASE_URL}${COMPONENT_PATH}`);
   }
 
+  // Components that failed to load render their fallback instead of being
+  // loaded again on every render; loadComponent() or unloadComponent() retries
+  function needsLoading(name) {
+    return !componentCache.has(name) && !failedComponents.has(name);
+  }
+
+  // Load components for a render; a failure only affects that component,
+  // which renders its fallback
+  function loadComponentsSettled(names) {
+    return Promise.all(names.map(name =>
+      loadComponent(name).catch(error => console.error(`Failed to load component "${name}":`, error))
+    ));
+  }
+
+  // The fallback registered for a component that failed to load: a vnode, or
+  // a function (error, props) => vnode. Defaults to an inline error message.
+  function componentFallbackVNode(name, props) {
+    const fallback = componentFallbacks.get(name);
+    const error = failedComponents.get(name);
+
+    if (typeof fallback === 'function') {
+      return fallback(error, props);
+    }
+    return fallback !== undefined ? fallback : componentErrorVNode(error);
+  }
+
   // FIX: Optimized helper to find component names in vnode tree
   function findComponentNames(vnode) {
     const names = new Set();
@@ -48,19 +133,30 @@ const DomKit = (function () {
       
       visited.add(node);
 
+      // Arrays nested in children render as fragments
+      if (Array.isArray(node)) {
+        node.forEach(child => traverse(child, depth + 1));
+        return;
+      }
+
       // Look for component placeholders
-      if (node.props && node.props['data-component-name']) {
-        const componentName = node.props['data-component-name'];
-        if (!componentCache.has(componentName)) {
+      if (node._component) {
+        const componentName = node._component.name;
+        if (needsLoading(componentName)) {
           names.add(componentName);
         }
       }
 
       // Also check for registered component names that aren't loaded yet
-      if (typeof node.tag === 'string' && componentRegistry.has(node.tag) && !componentCache.has(node.tag)) {
+      if (typeof node.tag === 'string' && componentRegistry.has(node.tag) && needsLoading(node.tag)) {
         names.add(node.tag);
       }
 
+      // And for DomKit.lazy() components
+      if (typeof node.tag === 'function' && node.tag._lazyComponentName && needsLoading(node.tag._lazyComponentName)) {
+        names.add(node.tag._lazyComponentName);
+      }
+
       // FIX: More efficient children traversal
       if (Array.isArray(node.children)) {
         node.children.forEach(child => traverse(child, depth + 1));
@@ -73,6 +169,35 @@ const DomKit = (function () {
     return Array.from(names);
   }
 
+  // Find placeholders for unloaded components in what has actually been
+  // rendered, including the output of function components
+  function findMountedComponentNames(mounted) {
+    const names = new Set();
+
+    function traverse(node) {
+      const vnode = node.vnode;
+      if (vnode && vnode._component) {
+        const componentName = vnode._component.name;
+        if (needsLoading(componentName)) {
+          names.add(componentName);
+        }
+      }
+      node.children.forEach(traverse);
+    }
+
+    traverse(mounted);
+    return Array.from(names);
+  }
+
+  // Load components whose placeholders were rendered, then call onLoaded so
+  // the owner can re-render with the real components
+  function loadMissingComponents(mounted, onLoaded) {
+    const componentNames = findMountedComponentNames(mounted);
+    if (componentNames.length === 0) return null;
+
+    return loadComponentsSettled(componentNames).then(onLoaded);
+  }
+
   function recreateVNodeWithComponents(vnode) {
     if (!vnode) return vnode;
 
@@ -80,26 +205,34 @@ const DomKit = (function () {
       return vnode;
     }
 
-    // If this is a component placeholder, replace it with the actual component
-    if (vnode.props && vnode.props['data-component-name']) {
-      const componentName = vnode.props['data-component-name'];
-      if (componentCache.has(componentName)) {
-        const component = componentCache.get(componentName);
-        const props = JSON.parse(vnode.props['data-component-props'] || '{}');
+    if (Array.isArray(vnode)) {
+      return vnode.map(recreateVNodeWithComponents);
+    }
 
-        // Restore event handlers from the placeholder
-        if (vnode._eventHandlers) {
-          Object.assign(props, vnode._eventHandlers);
-        }
+    // If this is a component placeholder, replace it with the actual component,
+    // passing the exact props and children it was created with
+    if (vnode._component) {
+      const { name, props, children } = vnode._component;
+      if (componentCache.has(name)) {
+        return h(componentCache.get(name), props, recreateVNodeWithComponents(children));
+      }
 
-        const children = JSON.parse(vnode.props['data-component-children'] || '[]');
-        return h(component, props, children);
+      if (failedComponents.has(name)) {
+        return componentFallbackVNode(name, props);
       }
     }
 
+    // Component vnodes receive their children through props
+    if (typeof vnode.tag === 'function') {
+      const { children, ...props } = vnode.props || {};
+      return h(vnode.tag, props, Array.isArray(children)
+        ? children.map(recreateVNodeWithComponents)
+        : recreateVNodeWithComponents(children));
+    }
+
     // Process children recursively
     const newChildren = vnode.children
-      ? vnode.children.map(recreateVNodeWithComponents)
+      ? toChildArray(vnode.children).map(recreateVNodeWithComponents)
       : [];
 
     return {
@@ -114,6 +247,8 @@ const DomKit = (function () {
       componentCache.delete(name);
       console.log(`Component unloaded: ${name}`);
     }
+    failedComponents.delete(name);
+    removeComponentStyles(name);
     return true;
   }
 
@@ -127,6 +262,93 @@ const DomKit = (function () {
     unloadAllComponents();
     componentRegistry.clear();
     loadingComponents.clear();
+    failedComponents.clear();
+    componentFallbacks.clear();
+    Array.from(componentStyles.keys()).forEach(removeComponentStyles);
+  }
+
+  // Classic component file: a <script> that calls registerDomKitComponent
+  function loadComponentScript(name, scriptUrl) {
+    return new Promise((resolve, reject) => {
+      installComponentHook();
+      const script = document.createElement('script');
+      let timer = null;
+
+      // A script that failed or timed out is removed, so a retry starts clean
+      const fail = (error) => {
+        clearTimeout(timer);
+        script.onload = script.onerror = null;
+        if (script.parentNode) script.parentNode.removeChild(script);
+        reject(error);
+      };
+
+      script.src = scriptUrl;
+      script.onload = () => {
+        clearTimeout(timer);
+        if (exportedComponents.has(name)) {
+          resolve(exportedComponents.get(name));
+        } else {
+          fail(new Error(`Component "${name}" was not properly exported.`));
+        }
+      };
+      script.onerror = () => {
+        fail(new Error(`Failed to load component: ${name} from ${scriptUrl}`));
+      };
+
+      if (LOAD_TIMEOUT > 0) {
+        timer = setTimeout(() => {
+          fail(new Error(`Timed out after ${LOAD_TIMEOUT}ms loading component: ${name} from ${scriptUrl}`));
+        }, LOAD_TIMEOUT);
+      }
+
+      document.head.appendChild(script);
+    });
+  }
+
+  // import() cannot be aborted, so a timed out module is only abandoned
+  function withLoadTimeout(promise, name, url) {
+    if (!(LOAD_TIMEOUT > 0)) return promise;
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Timed out after ${LOAD_TIMEOUT}ms loading component: ${name} from ${url}`));
+      }, LOAD_TIMEOUT);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Resolve against the page like a <script src>, not against DomKit's own URL
+  const resolveModuleUrl = (url) => {
+    try {
+      return typeof document !== 'undefined' ? new URL(url, document.baseURI).href : url;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  // ES module component file: the component is the export named after it,
+  // or the default export
+  function importComponentModule(name, moduleUrl) {
+    const load = Promise.resolve().then(() => importModule(resolveModuleUrl(moduleUrl)));
+
+    return withLoadTimeout(load, name, moduleUrl)
+      .catch((error) => {
+        throw new Error(`Failed to load component: ${name} from ${moduleUrl} (${error.message || error})`);
+      })
+      .then((module) => {
+        // setup(DomKit) receives this DomKit and returns the component, so the
+        // module needs no DomKit import of its own (a second copy of DomKit
+        // would have its own hooks, which fail inside this one's renders)
+        const component = module && typeof module.setup === 'function'
+          ? module.setup(DomKit)
+          : module && (typeof module[name] === 'function' ? module[name] : module.default);
+        if (typeof component !== 'function') {
+          throw new Error(`Component "${name}" was not properly exported.`);
+        }
+        return component;
+      });
   }
 
   function loadComponent(name) {
@@ -144,29 +366,37 @@ const DomKit = (function () {
       return Promise.reject(new Error(`Component "${name}" is not registered.`));
     }
 
-    const loadPromise = new Promise((resolve, reject) => {
-      const componentPath = componentRegistry.get(name);
-      const scriptUrl = `${COMPONENT_BASE_URL}${COMPONENT_PATH}${componentPath}`;
+    const componentPath = componentRegistry.get(name);
+    const url = `${COMPONENT_BASE_URL}${COMPONENT_PATH}${componentPath}`;
+    const useModule = COMPONENT_LOADER === 'module' || /\.mjs(\?|#|$)/.test(componentPath);
 
-      const script = document.createElement('script');
-      script.src = scriptUrl;
-      script.onload = () => {
-        if (window.__domkitComponents && window.__domkitComponents[name]) {
-          const component = window.__domkitComponents[name];
-          componentCache.set(name, component);
-          loadingComponents.delete(name);
-          resolve(component);
-        } else {
-          loadingComponents.delete(name);
-          reject(new Error(`Component "${name}" was not properly exported.`));
-        }
-      };
-      script.onerror = () => {
+    // Browsers remember a module that failed to load, so retried imports get
+    // a distinct URL
+    const attempt = (retry) => {
+      if (!useModule) return loadComponentScript(name, url);
+      return importComponentModule(name, retry > 0 ? `${url}${url.includes('?') ? '&' : '?'}retry=${retry}` : url);
+    };
+
+    const attemptWithRetries = (retry) =>
+      attempt(retry).catch((error) => {
+        if (retry >= LOAD_RETRIES) throw error;
+        const delay = RETRY_DELAY * Math.pow(2, retry);
+        console.warn(`Loading component "${name}" failed, retrying in ${delay}ms:`, error.message);
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => attemptWithRetries(retry + 1));
+      });
+
+    const loadPromise = attemptWithRetries(0)
+      .then((component) => {
+        componentCache.set(name, component);
+        failedComponents.delete(name);
         loadingComponents.delete(name);
-        reject(new Error(`Failed to load component: ${name} from ${scriptUrl}`));
-      };
-      document.head.appendChild(script);
-    });
+        return component;
+      }, (error) => {
+        failedComponents.set(name, error);
+        loadingComponents.delete(name);
+        throw error;
+      });
 
     loadingComponents.set(name, loadPromise);
     return loadPromise;
@@ -187,8 +417,13 @@ const DomKit = (function () {
     return Promise.all(names.map(name => loadComponent(name)));
   }
 
-  function registerComponent(name, path) {
+  // options.fallback: vnode or (error, props) => vnode rendered in place of
+  // the component if it cannot be loaded
+  function registerComponent(name, path, options = {}) {
     componentRegistry.set(name, path);
+    if (options.fallback !== undefined) {
+      componentFallbacks.set(name, options.fallback);
+    }
     return true;
   }
 
@@ -196,6 +431,7 @@ const DomKit = (function () {
     return {
       domain: COMPONENT_BASE_URL,
       path: COMPONENT_PATH,
+      loader: COMPONENT_LOADER,
       registeredComponents: Array.from(componentRegistry.entries()),
       loadedComponents: Array.from(componentCache.keys())
     };
@@ -203,14 +439,14 @@ const DomKit = (function () {
 
   // Enhanced h function to handle component loading (MODIFIED 10.09.2024)
   const h = (tag, props = {}, children = []) => {
-    // If it's a function (already loaded component), use it directly
+    // If it's a function (already loaded component), keep it as a component
+    // vnode; it is called when the tree is rendered so it can use hooks
     if (typeof tag === 'function') {
-      try {
-        return tag({ ...props, children });
-      } catch (error) {
-        console.error("Component render error:", error);
-        return h("div", { className: "error" }, ["Component error"]);
-      }
+      return {
+        tag,
+        props: { ...props, children },
+        children: toChildArray(children).filter((child) => child != null)
+      };
     }
 
     // If it's a registered component name, handle it
@@ -219,34 +455,26 @@ const DomKit = (function () {
         // Component is already loaded, use it
         const component = componentCache.get(tag);
         return h(component, props, children);
+      } else if (failedComponents.has(tag)) {
+        return componentFallbackVNode(tag, props);
       } else {
-        // Extract event handlers before JSON serialization
-        const eventHandlers = {};
-        const serializableProps = {};
-
-        Object.keys(props).forEach(key => {
-          if (key.startsWith('on') && typeof props[key] === 'function') {
-            eventHandlers[key] = props[key];
-          } else {
-            serializableProps[key] = props[key];
-          }
-        });
+        // Component needs to be loaded - return a placeholder that keeps the
+        // original props and children by reference, functions and all, for
+        // when the component is ready. Only the name ends up in the DOM.
+        const placeholderProps = {
+          className: 'component-loading',
+          'data-component-name': tag
+        };
+        if (props.key != null) {
+          placeholderProps.key = props.key;
+        }
 
-        // Component needs to be loaded - return a placeholder
-        const placeholder = {
+        return {
           tag: 'div',
-          props: {
-            className: 'component-loading',
-            'data-component-name': tag,
-            'data-component-props': JSON.stringify(serializableProps),
-            'data-component-children': JSON.stringify(children),
-            'data-component-events': JSON.stringify(Object.keys(eventHandlers))
-          },
+          props: placeholderProps,
           children: [`Loading ${tag}...`],
-          _eventHandlers: eventHandlers // Store event handlers separately
+          _component: { name: tag, props, children }
         };
-
-        return placeholder;
       }
     }
 
@@ -310,603 +538,3299 @@ const DomKit = (function () {
     return false;
   };
 
-  const updateProps = (element, newProps, oldProps) => {
-    if (!element || !(element instanceof HTMLElement)) {
-      console.error("Invalid element passed to updateProps");
-      return;
+  // Lifecycle callbacks are handled by the diff, not attached as events
+  const LIFECYCLE_PROPS = new Set(["onMount", "onUpdate", "onUnmount"]);
+
+  // Namespaces for SVG/MathML elements and prefixed attributes (xlink:href, ...)
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const MATHML_NS = "http://www.w3.org/1998/Math/MathML";
+  const ATTRIBUTE_NAMESPACES = {
+    xlink: "http://www.w3.org/1999/xlink",
+    xml: "http://www.w3.org/XML/1998/namespace",
+    xmlns: "http://www.w3.org/2000/xmlns/"
+  };
+
+  // SVG presentation attributes that may be written in camelCase (strokeWidth -> stroke-width).
+  // Attributes that really are camelCase in SVG, like viewBox, are left alone.
+  const SVG_HYPHENATED_ATTRIBUTES = new Set([
+    "alignmentBaseline", "baselineShift", "clipPath", "clipRule", "colorInterpolation",
+    "colorInterpolationFilters", "dominantBaseline", "fillOpacity", "fillRule", "floodColor",
+    "floodOpacity", "fontFamily", "fontSize", "fontStyle", "fontVariant", "fontWeight",
+    "imageRendering", "letterSpacing", "lightingColor", "markerEnd", "markerMid", "markerStart",
+    "paintOrder", "pointerEvents", "shapeRendering", "stopColor", "stopOpacity",
+    "strokeDasharray", "strokeDashoffset", "strokeLinecap", "strokeLinejoin",
+    "strokeMiterlimit", "strokeOpacity", "strokeWidth", "textAnchor", "textDecoration",
+    "textRendering", "vectorEffect", "wordSpacing", "writingMode"
+  ]);
+
+  // Namespace for an element: explicit xmlns, <svg>/<math>, or inherited from its parent
+  const getElementNamespace = (tag, props, parentNamespace) => {
+    if (props && props.xmlns) return props.xmlns;
+    if (tag === "svg") return SVG_NS;
+    if (tag === "math") return MATHML_NS;
+    return parentNamespace;
+  };
+
+  // Namespace that children of a DOM node are created in; <foreignObject> switches back to HTML
+  const getChildNamespace = (parent) => {
+    if (!parent || !parent.namespaceURI || parent.nodeType !== 1) return null;
+    if (parent.namespaceURI === SVG_NS && parent.localName !== "foreignObject") return SVG_NS;
+    if (parent.namespaceURI === MATHML_NS) return MATHML_NS;
+    return null;
+  };
+
+  const getAttributeName = (name, namespace) => {
+    if (name === "className") return "class";
+    if (name === "htmlFor") return "for";
+    if (namespace === SVG_NS) {
+      // xlinkHref -> xlink:href, xmlSpace -> xml:space
+      const prefixed = name.match(/^(xlink|xml)([A-Z])(.*)$/);
+      if (prefixed) return `${prefixed[1]}:${prefixed[2].toLowerCase()}${prefixed[3]}`;
+      if (SVG_HYPHENATED_ATTRIBUTES.has(name)) {
+        return name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+      }
     }
+    return name;
+  };
 
-    if (newProps.ref && typeof newProps.ref === "function") {
-      newProps.ref(element);
+  // Props that are reserved for DomKit itself and never reach the DOM
+  const RESERVED_PROPS = new Set(["key", "ref", "children"]);
+
+  // Props that reflect live element state; they must be set as DOM properties,
+  // because the attribute only sets the default once the user has interacted
+  const PROPERTY_PROPS = new Set(["value", "checked", "selected", "indeterminate", "muted"]);
+
+  // Enumerated attributes that take the strings "true"/"false"; leaving them
+  // out means the browser default, not false
+  const TRUE_FALSE_ATTRIBUTES = new Set([
+    "draggable", "spellcheck", "contenteditable", "focusable",
+    "externalresourcesrequired", "preservealpha"
+  ]);
+
+  // Convert a prop value to the attribute value to set, or null to remove it.
+  // true/false toggle boolean attributes, except aria-*, data-* and the
+  // attributes above, which need the literal strings "true"/"false".
+  const toAttributeValue = (name, value) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === "boolean") {
+      if (name.startsWith("aria-") || name.startsWith("data-") ||
+        TRUE_FALSE_ATTRIBUTES.has(name.toLowerCase())) return String(value);
+      return value ? "" : null;
     }
+    return String(value);
+  };
 
-    Object.keys(oldProps).forEach((name) => {
-      if (
-        name.startsWith("on") &&
-        (!newProps[name] || oldProps[name] !== newProps[name])
-      ) {
-        const eventName = name.substring(2).toLowerCase();
-        if (element._events && element._events[eventName]) {
-          element.removeEventListener(eventName, element._events[eventName]);
-          delete element._events[eventName];
-        }
+  // Event props take a handler function, or { handler, passive, once, capture }
+  // for a listener with options attached directly to the element
+  const isEventProp = (name, value) =>
+    name.startsWith("on") && !LIFECYCLE_PROPS.has(name) &&
+    (typeof value === "function" || value === null || value === undefined ||
+      (typeof value === "object" && typeof value.handler === "function"));
+
+  // onClick -> click, onDoubleClick -> dblclick, onClickCapture -> click in the capture phase
+  const EVENT_NAME_ALIASES = { doubleclick: "dblclick" };
+  const CAPTURE_NAMED_EVENTS = new Set(["gotpointercapture", "lostpointercapture"]);
+
+  const parseEventProp = (name) => {
+    let eventName = name.substring(2).toLowerCase();
+    const capture = eventName.endsWith("capture") && !CAPTURE_NAMED_EVENTS.has(eventName);
+    if (capture) eventName = eventName.slice(0, -"capture".length);
+    return { type: EVENT_NAME_ALIASES[eventName] || eventName, capture };
+  };
+
+  // Event delegation: one listener per event type on each render container.
+  // Handlers are stored on the elements (_handlers) and called with a synthetic
+  // event while walking from the target up to the container.
+  const NON_BUBBLING_EVENTS = new Set([
+    "focus", "blur", "mouseenter", "mouseleave", "pointerenter", "pointerleave",
+    "load", "error", "abort", "scroll", "scrollend", "invalid", "toggle", "cancel", "close",
+    "canplay", "canplaythrough", "durationchange", "emptied", "ended", "loadeddata",
+    "loadedmetadata", "loadstart", "pause", "play", "playing", "progress", "ratechange",
+    "seeked", "seeking", "stalled", "suspend", "timeupdate", "volumechange", "waiting"
+  ]);
+  const delegatedEventTypes = new Set();
+  const delegationRoots = new Set();
+
+  // Wrap a native event so currentTarget and stopPropagation follow the
+  // delegated dispatch; everything else reads through to the native event
+  const createSyntheticEvent = (nativeEvent) => {
+    let propagationStopped = false;
+    const overrides = {
+      nativeEvent,
+      currentTarget: null,
+      stopPropagation() {
+        propagationStopped = true;
+        nativeEvent.stopPropagation();
+      },
+      stopImmediatePropagation() {
+        propagationStopped = true;
+        nativeEvent.stopImmediatePropagation();
+      },
+      isPropagationStopped: () => propagationStopped,
+      isDefaultPrevented: () => nativeEvent.defaultPrevented,
+    };
+
+    return new Proxy(nativeEvent, {
+      get(target, prop) {
+        if (prop in overrides) return overrides[prop];
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+      set(target, prop, value) {
+        overrides[prop] = value;
+        return true;
       }
     });
+  };
 
-    Object.keys(newProps).forEach((name) => {
-      if (!name.startsWith("on") && oldProps[name] === newProps[name]) return;
+  const invokeHandler = (node, key, event) => {
+    const handler = node._handlers && node._handlers[key];
+    if (!handler) return;
+
+    event.currentTarget = node;
+    try {
+      // Updates made while handling input go ahead of other pending work
+      withPriority('user', () => handler.call(node, event));
+    } catch (error) {
+      // Keep dispatching to the other handlers, and rethrow outside of it so
+      // the error still reaches window.onerror like that of a native listener
+      setTimeout(() => {
+        throw error;
+      });
+    }
+  };
 
-      if (name.startsWith("on")) {
-        const eventName = name.substring(2).toLowerCase();
+  const dispatchDelegatedEvent = (root, nativeEvent) => {
+    const type = nativeEvent.type;
+    const bubbles = !NON_BUBBLING_EVENTS.has(type);
+
+    // Non-bubbling events are caught in the capture phase by the outermost
+    // root, which dispatches them completely
+    if (!bubbles && nativeEvent.__domkitDispatched) return;
+
+    // An event from inside a portal was already dispatched along the whole tree
+    if (nativeEvent.__domkitPortalDispatched) return;
+
+    // Nested roots: the inner root already handled the part of the path below it.
+    // The path follows the component tree, so from the top of a portal's
+    // content it continues where the portal was rendered, up to the top.
+    const path = [];
+    let node = nativeEvent.__domkitHandledUpTo || nativeEvent.target;
+    let throughPortal = false;
+    while (node && (throughPortal || node !== root)) {
+      if (node.nodeType === 1) path.push(node);
+      if (node._portal) throughPortal = true;
+      node = node._portal || node.parentNode;
+    }
 
-        if (!element._events) element._events = {};
-        if (!element._cleanup) element._cleanup = [];
+    const event = createSyntheticEvent(nativeEvent);
 
-        // FIX: Properly clean up old event listeners
-        if (element._events[eventName]) {
-          element.removeEventListener(eventName, element._events[eventName]);
-        }
+    // Capture phase, from the root down to the target
+    for (let i = path.length - 1; i >= 0 && !event.isPropagationStopped(); i--) {
+      invokeHandler(path[i], `${type}:capture`, event);
+    }
 
-        // FIX: Store new event handler and add cleanup tracking
-        if (typeof newProps[name] === 'function') {
-          element._events[eventName] = newProps[name];
-          element.addEventListener(eventName, newProps[name]);
-          
-          // Track for cleanup
-          element._cleanup.push(() => {
-            if (element._events && element._events[eventName]) {
-              element.removeEventListener(eventName, element._events[eventName]);
-              delete element._events[eventName];
-            }
+    // Bubble phase, from the target up to the root (only the target if the event doesn't bubble)
+    const bubblePath = bubbles ? path : path.slice(0, 1);
+    for (let i = 0; i < bubblePath.length && !event.isPropagationStopped(); i++) {
+      invokeHandler(bubblePath[i], type, event);
+    }
+
+    nativeEvent.__domkitHandledUpTo = root;
+    nativeEvent.__domkitDispatched = true;
+    if (throughPortal) nativeEvent.__domkitPortalDispatched = true;
+  };
+
+  // Make sure root listens for every event type used so far
+  const ensureEventDelegation = (root) => {
+    if (!root._delegatedEvents) {
+      root._delegatedEvents = {};
+      delegationRoots.add(root);
+
+      if (!root._cleanup) root._cleanup = [];
+      root._cleanup.push(() => {
+        if (root._delegatedEvents) {
+          Object.keys(root._delegatedEvents).forEach((type) => {
+            root.removeEventListener(type, root._delegatedEvents[type], NON_BUBBLING_EVENTS.has(type));
           });
         }
-      } else if (name === "style" && typeof newProps[name] === "object") {
-        // Style objects
-        const newStyle = newProps[name];
-        const oldStyle = oldProps[name] || {};
-
-        // Remove old styles
-        Object.keys(oldStyle).forEach((prop) => {
-          if (!newStyle[prop]) element.style[prop] = "";
-        });
+        root._delegatedEvents = null;
+        delegationRoots.delete(root);
+      });
+    }
 
-        // Add new styles
-        Object.keys(newStyle).forEach((prop) => {
-          if (oldStyle[prop] !== newStyle[prop]) {
-            element.style[prop] = newStyle[prop];
-          }
-        });
-      } else if (name === "className") {
-        // Class names
-        element.setAttribute("class", newProps[name]);
-      } else {
-        // Regular attributes
-        element.setAttribute(name, newProps[name]);
-      }
+    delegatedEventTypes.forEach((type) => {
+      if (root._delegatedEvents[type]) return;
+      const listener = (event) => dispatchDelegatedEvent(root, event);
+      root._delegatedEvents[type] = listener;
+      root.addEventListener(type, listener, NON_BUBBLING_EVENTS.has(type));
     });
+  };
 
-    // Remove attributes that are no longer present
-    Object.keys(oldProps).forEach((name) => {
-      if (!newProps[name] && !name.startsWith("on") && name !== "style") {
-        element.removeAttribute(name);
-      }
-    });
+  const registerEventType = (type) => {
+    if (delegatedEventTypes.has(type)) return;
+    delegatedEventTypes.add(type);
+    delegationRoots.forEach(ensureEventDelegation);
   };
 
-  // DOM diffing algorithm
-  const updateElement = (parent, newNode, oldNode, index = 0) => {
-    if (!parent || !(parent instanceof Node)) {
-      console.error("Invalid parent node");
+  const setEventHandler = (element, name, value) => {
+    const { type, capture } = parseEventProp(name);
+    const key = capture ? `${type}:capture` : type;
+
+    if (typeof value === "function") {
+      if (!element._handlers) element._handlers = {};
+      element._handlers[key] = value;
+      registerEventType(type);
       return;
     }
-    // Support for custom renderers (for focus retention)
-    let postRenderCallback = null;
-    if (newNode && typeof newNode === "object" && newNode._customRender) {
-      postRenderCallback = newNode._customRender(oldNode);
-    }
 
-    // If old node doesn't exist, append new node
-    if (!oldNode) {
-      parent.appendChild(createDomElement(newNode));
-      if (postRenderCallback) postRenderCallback();
+    // Listeners with options are attached to the element itself
+    if (!element._events) element._events = {};
+    if (!element._cleanup) element._cleanup = [];
+
+    const options = {
+      capture: !!(value.capture || capture),
+      passive: !!value.passive,
+      once: !!value.once
+    };
+    const current = element._events[key];
+    if (current && current.handler === value.handler &&
+      current.options.passive === options.passive && current.options.once === options.once) {
       return;
     }
 
-    // If new node doesn't exist, remove old node
-    if (!newNode) {
-      parent.removeChild(parent.childNodes[index]);
-      return;
+    // FIX: Properly clean up old event listeners
+    removeEventHandler(element, name);
+
+    // FIX: Store new event handler and add cleanup tracking
+    element._events[key] = { handler: value.handler, options };
+    element.addEventListener(type, value.handler, options);
+
+    // Track for cleanup
+    element._cleanup.push(() => removeEventHandler(element, name));
+  };
+
+  const removeEventHandler = (element, name) => {
+    const { type, capture } = parseEventProp(name);
+    const key = capture ? `${type}:capture` : type;
+
+    if (element._handlers) delete element._handlers[key];
+
+    if (element._events && element._events[key]) {
+      const { handler, options } = element._events[key];
+      element.removeEventListener(type, handler, options.capture);
+      delete element._events[key];
     }
+  };
 
-    // If nodes are different, replace old with new
-    if (isNodeChanged(newNode, oldNode)) {
-      parent.replaceChild(createDomElement(newNode), parent.childNodes[index]);
-      if (postRenderCallback) postRenderCallback();
-      return;
+  const setStyleProperty = (element, prop, value) => {
+    const cssValue = value === null || value === undefined ? "" : value;
+    if (prop.startsWith("--")) {
+      element.style.setProperty(prop, cssValue);
+    } else {
+      element.style[prop] = cssValue;
     }
+  };
 
-    // If it's a text node and not changed, we're done (handled by isNodeChanged)
-    if (typeof newNode === "string" || typeof newNode === "number") {
-      if (postRenderCallback) postRenderCallback();
+  const updateStyle = (element, newStyle, oldStyle) => {
+    if (typeof newStyle !== "object" || newStyle === null) {
+      // String (or removed) styles replace the whole style attribute
+      if (newStyle === null || newStyle === undefined || newStyle === "") {
+        element.removeAttribute("style");
+      } else {
+        element.setAttribute("style", newStyle);
+      }
       return;
     }
 
-    // Update properties
-    updateProps(
-      parent.childNodes[index],
-      newNode.props || {},
-      oldNode.props || {}
-    );
-
-    // Recursively update children
-    const newLength = newNode.children ? newNode.children.length : 0;
-    const oldLength = oldNode.children ? oldNode.children.length : 0;
-
-    for (let i = 0; i < Math.max(newLength, oldLength); i++) {
-      updateElement(
-        parent.childNodes[index],
-        newNode.children && i < newLength ? newNode.children[i] : null,
-        oldNode.children && i < oldLength ? oldNode.children[i] : null,
-        i
-      );
+    // Switching from a string to an object starts from a clean slate
+    if (typeof oldStyle !== "object" || oldStyle === null) {
+      element.removeAttribute("style");
+      oldStyle = {};
     }
 
-    // Run post-render callback (for focus retention)
-    if (postRenderCallback) postRenderCallback();
-  };
+    // Remove old styles
+    Object.keys(oldStyle).forEach((prop) => {
+      if (!(prop in newStyle)) setStyleProperty(element, prop, "");
+    });
 
-  // Create DOM element from virtual node, add support for refs and custom renderers
-  const createDomElement = (vnode) => {
-    try {
-      // Handle null/undefined cases
-      if (vnode === null || vnode === undefined) {
-        return document.createTextNode("");
+    // Add new styles
+    Object.keys(newStyle).forEach((prop) => {
+      if (oldStyle[prop] !== newStyle[prop]) {
+        setStyleProperty(element, prop, newStyle[prop]);
       }
+    });
+  };
 
-      // Handle text nodes
-      if (typeof vnode === "string" || typeof vnode === "number") {
-        return document.createTextNode(vnode);
+  const setProp = (element, name, value, oldValue) => {
+    if (name === "style") {
+      updateStyle(element, value, oldValue);
+    } else if (PROPERTY_PROPS.has(name) && name in element) {
+      // <select> value is applied once its options exist, see syncSelectValue
+      if (name === "value" && element.nodeName === "SELECT") return;
+
+      // Compare with the live value so typing isn't disturbed (caret position)
+      // and user edits are brought back in line with the props
+      const propValue = name === "value"
+        ? (value === null || value === undefined ? "" : String(value))
+        : !!value;
+      if (element[name] !== propValue) {
+        element[name] = propValue;
       }
-
-      // FIX: Handle component references with error boundaries
-      if (typeof vnode.tag === "function") {
-        try {
-          const componentResult = vnode.tag(vnode.props || {});
-          return createDomElement(componentResult);
-        } catch (error) {
-          console.error('Component error:', error, 'Component:', vnode.tag.name || 'Anonymous');
-          // FIX: Return error component instead of crashing
-          const errorElement = document.createElement('div');
-          errorElement.className = 'domkit-component-error';
-          errorElement.style.cssText = 'color: red; padding: 5px; border: 1px solid red; background: #ffebee;';
-          errorElement.textContent = `Component Error: ${error.message}`;
-          return errorElement;
+    } else {
+      const attrName = getAttributeName(name, element.namespaceURI);
+      const attrValue = toAttributeValue(attrName, value);
+      const prefix = attrName.includes(":") ? attrName.split(":")[0] : null;
+      const attrNamespace = prefix ? ATTRIBUTE_NAMESPACES[prefix] : null;
+
+      if (attrNamespace) {
+        const localName = attrName.slice(prefix.length + 1);
+        if (attrValue === null) {
+          element.removeAttributeNS(attrNamespace, localName);
+        } else if (element.getAttributeNS(attrNamespace, localName) !== attrValue) {
+          element.setAttributeNS(attrNamespace, attrName, attrValue);
         }
+      } else if (attrValue === null) {
+        element.removeAttribute(attrName);
+      } else if (element.getAttribute(attrName) !== attrValue) {
+        element.setAttribute(attrName, attrValue);
       }
+    }
+  };
 
-      // Handle SVG elements
-      let element;
-      if (vnode.props && vnode.props.xmlns) {
-        element = document.createElementNS(vnode.props.xmlns, vnode.tag);
-      } else {
-        element = document.createElement(vnode.tag);
+  // Apply a <select>'s value (or array of values for multiple) to its options
+  const syncSelectValue = (element, props) => {
+    if (element.nodeName !== "SELECT" || !("value" in props)) return;
+
+    const values = Array.isArray(props.value)
+      ? props.value.map(String)
+      : [String(props.value)];
+    Array.prototype.forEach.call(element.options, (option) => {
+      const selected = values.includes(option.value);
+      if (option.selected !== selected) option.selected = selected;
+    });
+  };
+
+  const updateProps = (element, newProps, oldProps) => {
+    if (!element || element.nodeType !== 1) {
+      console.error("Invalid element passed to updateProps");
+      return;
+    }
+
+    if (newProps.ref && typeof newProps.ref === "function") {
+      newProps.ref(element);
+    }
+
+    Object.keys(oldProps).forEach((name) => {
+      if (isEventProp(name, oldProps[name]) && !newProps[name]) {
+        removeEventHandler(element, name);
       }
+    });
 
-      // Set properties
-      if (vnode.props) {
-        updateProps(element, vnode.props, {});
+    Object.keys(newProps).forEach((name) => {
+      if (RESERVED_PROPS.has(name) || LIFECYCLE_PROPS.has(name)) return;
 
-        // Handle ref property
-        if (vnode.props.ref && typeof vnode.props.ref === "function") {
-          vnode.props.ref(element);
+      if (isEventProp(name, newProps[name])) {
+        if (newProps[name]) {
+          setEventHandler(element, name, newProps[name]);
+        } else {
+          removeEventHandler(element, name);
         }
+      } else if (PROPERTY_PROPS.has(name) || oldProps[name] !== newProps[name]) {
+        // Live properties are always checked, attributes only when changed
+        setProp(element, name, newProps[name], oldProps[name]);
       }
+    });
 
-      // Ensure children is an array and append children
-      const children = Array.isArray(vnode.children)
-        ? vnode.children
-        : vnode.children
-          ? [vnode.children]
-          : [];
+    // Remove props that are no longer present
+    Object.keys(oldProps).forEach((name) => {
+      if (name in newProps) return;
+      if (RESERVED_PROPS.has(name) || LIFECYCLE_PROPS.has(name)) return;
+      if (isEventProp(name, oldProps[name])) return;
 
-      children.forEach((child) => {
-        if (child !== null && child !== undefined) {
-          element.appendChild(createDomElement(child));
-        }
-      });
+      setProp(element, name, undefined, oldProps[name]);
+    });
+  };
 
-      return element;
-    } catch (error) {
-      console.error('Failed to create DOM element:', error, vnode);
-      return document.createTextNode('');
-    }
+  // Read the reconciliation key of a vnode (text nodes never have one)
+  const getKey = (vnode) =>
+    vnode && typeof vnode === "object" && vnode.props ? vnode.props.key : undefined;
+
+  // Two vnodes can share a DOM node if they are both text, or have the same tag and key
+  const isSameNodeType = (node1, node2) => {
+    const isText1 = node1 === null || node1 === undefined || typeof node1 !== "object";
+    const isText2 = node2 === null || node2 === undefined || typeof node2 !== "object";
+    if (isText1 || isText2) return isText1 && isText2;
+
+    return node1.tag === node2.tag && getKey(node1) === getKey(node2);
   };
 
-  // Enhanced render function to handle component loading (FIXED)
-  const render = async (vnode, container) => {
-    // FIX: Container validation
-    if (!container) {
-      console.error("Render failed: no container provided");
-      return Promise.reject(new Error("No container provided"));
+  const isComponentVNode = (vnode) =>
+    !!vnode && typeof vnode === "object" && typeof vnode.tag === "function";
+
+  const toChildArray = (children) =>
+    Array.isArray(children) ? children : children != null ? [children] : [];
+
+  // Arrays (from components, render() or nested in children) render as fragments
+  const normalizeVNode = (vnode) =>
+    Array.isArray(vnode)
+      ? { tag: Fragment, props: {}, children: vnode.filter((child) => child != null) }
+      : vnode;
+
+  // Scheduler
+  //
+  // Every update (render(), createState, component hooks) is queued here and
+  // flushed in one animation frame, so several updates in the same tick cost
+  // a single pass. Updates are keyed: scheduling the same key twice before a
+  // flush runs it once. They are sorted into priority lanes, flushed in order;
+  // background work stops once the frame budget is spent and resumes next frame.
+  const PRIORITIES = ['user', 'normal', 'background'];
+  const FRAME_BUDGET = 8; // ms per frame for background updates
+  const updateLanes = { user: new Map(), normal: new Map(), background: new Map() };
+  let currentPriority = null;
+  let frameRequested = false;
+  // Flushes are numbered; activeFlush is the one running, 0 outside a flush
+  let flushCount = 0;
+  let activeFlush = 0;
+
+  const now = () =>
+    typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+
+  const requestFrame = (callback) =>
+    typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame(callback)
+      : setTimeout(callback, 16);
+
+  const getPriority = (priority) => {
+    if (priority && !updateLanes[priority]) {
+      console.warn(`Unknown update priority "${priority}", using "normal"`);
+      return 'normal';
     }
+    return priority || currentPriority || 'normal';
+  };
 
-    if (typeof container === "string") {
-      const domContainer = document.querySelector(container);
-      if (!domContainer) {
-        console.error(`Container not found: ${container}`);
-        return Promise.reject(new Error(`Container not found: ${container}`));
-      }
-      container = domContainer;
+  const requestFlush = () => {
+    if (!frameRequested) {
+      frameRequested = true;
+      requestFrame(() => flushUpdates(FRAME_BUDGET));
     }
+  };
 
-    // FIX: Race condition protection
-    const currentRequestId = ++renderRequestId;
-    renderRequests.set(container, currentRequestId);
+  const cancelUpdate = (key) => {
+    PRIORITIES.forEach((priority) => updateLanes[priority].delete(key));
+  };
 
-    // Helper to check if this render request is still current
-    const isCurrentRequest = () => renderRequests.get(container) === currentRequestId;
+  // An update already queued in a higher lane stays there; one queued in a
+  // lower lane is promoted
+  const scheduleUpdate = (key, task, priority, order = 0) => {
+    const lane = getPriority(priority);
+
+    for (const other of PRIORITIES) {
+      const existing = updateLanes[other].get(key);
+      if (!existing) continue;
+
+      if (PRIORITIES.indexOf(other) <= PRIORITIES.indexOf(lane)) {
+        existing.task = task;
+        return;
+      }
+      updateLanes[other].delete(key);
+      break;
+    }
+
+    updateLanes[lane].set(key, { task, order });
+    requestFlush();
+  };
 
+  const runUpdate = (update) => {
     try {
-      // Check if vnode uses any components that need loading
-      const componentNames = findComponentNames(vnode);
+      update.task();
+    } catch (error) {
+      console.error('Scheduled update error:', error);
+    }
+  };
 
-      if (componentNames.length > 0) {
-        // FIX: Show loading state instead of blank screen
-        const loadingVNode = h('div', { className: 'domkit-loading' }, [
-          h('span', {}, 'Loading components...')
-        ]);
-        proceedWithRendering(loadingVNode, container);
+  const runLane = (priority, budget, start) => {
+    const lane = updateLanes[priority];
+    const updates = Array.from(lane.entries()).sort((a, b) => a[1].order - b[1].order);
+    lane.clear();
 
-        // Load all needed components
-        await Promise.all(componentNames.map(name => loadComponent(name)));
+    for (let i = 0; i < updates.length; i++) {
+      if (priority === 'background' && now() - start > budget) {
+        updates.slice(i).forEach(([key, update]) => {
+          if (!lane.has(key)) lane.set(key, update);
+        });
+        requestFlush();
+        return;
+      }
+      runUpdate(updates[i][1]);
+    }
+  };
 
-        // FIX: Check if this render is still current before proceeding
-        if (!isCurrentRequest()) {
-          console.log('Render request superseded, aborting');
+  // User and normal updates scheduled while flushing (a state listener that
+  // calls render(), say) run in further passes of the same frame; background
+  // updates wait for the next one. Within a lane, lower order runs first
+  // (parents before children)
+  const MAX_FLUSH_PASSES = 100;
+
+  const flushUpdates = (budget = Infinity) => {
+    frameRequested = false;
+    const start = now();
+    const previousFlush = activeFlush;
+    activeFlush = ++flushCount;
+
+    try {
+      let passes = 0;
+      while (updateLanes.user.size > 0 || updateLanes.normal.size > 0) {
+        if (++passes > MAX_FLUSH_PASSES) {
+          console.error('Updates keep scheduling more updates, continuing next frame');
+          requestFlush();
           return;
         }
+        runLane('user', budget, start);
+        runLane('normal', budget, start);
+      }
+      runLane('background', budget, start);
+    } finally {
+      activeFlush = previousFlush;
+    }
+  };
 
-        // Recreate vnode with loaded components
-        vnode = recreateVNodeWithComponents(vnode);
+  const hasPendingUpdates = () => PRIORITIES.some((priority) => updateLanes[priority].size > 0);
 
-        // Proceed with normal rendering
-        await proceedWithRenderingAsync(vnode, container);
+  // Run fn with every update it schedules in the given lane
+  const withPriority = (priority, fn) => {
+    const previousPriority = currentPriority;
+    currentPriority = getPriority(priority);
+    try {
+      return fn();
+    } finally {
+      currentPriority = previousPriority;
+    }
+  };
 
-      } else {
-        // No components need loading, proceed normally
-        await proceedWithRenderingAsync(vnode, container);
+  // Apply fn's updates and everything else pending right now, including the
+  // effects they queue, instead of waiting for the next frame
+  const flushSync = (fn) => {
+    const result = typeof fn === 'function' ? withPriority('user', fn) : undefined;
+
+    let passes = 0;
+    while (hasPendingUpdates()) {
+      if (++passes > MAX_FLUSH_PASSES) {
+        console.error('flushSync: updates keep scheduling more updates, giving up');
+        break;
       }
+      flushUpdates();
+    }
+    runEffects();
+
+    return result;
+  };
+
+  // Component instances and hooks
+  //
+  // Function components are rendered while the tree is diffed, not when h() is
+  // called, so each one gets an instance tied to its position in the tree. The
+  // instance holds the hook slots and is carried over when the diff matches the
+  // same component (and key) at the same place.
+  let currentInstance = null;
+  let pendingEffects = [];
+  let effectsScheduled = false;
+
+  const createInstance = (vnode, parent) => ({
+    vnode,
+    parent,
+    depth: parent ? parent.depth + 1 : 0,
+    hooks: [],
+    hookIndex: 0,
+    effects: [],
+    mounted: null,
+    dirty: false,
+    unmounted: false,
+  });
+
+  const componentErrorVNode = (error) =>
+    h('div', {
+      className: 'domkit-component-error',
+      style: 'color: red; padding: 5px; border: 1px solid red; background: #ffebee;'
+    }, [`Component Error: ${error.message}`]);
+
+  // Call the component function with its instance as the current hook owner
+  const renderComponent = (instance) => {
+    const previousInstance = currentInstance;
+    currentInstance = instance;
+    instance.hookIndex = 0;
+    instance.dirty = false;
+    cancelUpdate(instance);
 
+    try {
+      const result = instance.vnode.tag(instance.vnode.props || {});
+      return result === undefined || result === false ? null : result;
     } catch (error) {
-      // FIX: Use proper VDOM for error display instead of innerHTML
-      if (isCurrentRequest()) {
-        console.error('Failed to render:', error);
-        const errorVNode = h('div', { 
-          className: 'domkit-error',
-          style: { 
-            color: 'red', 
-            padding: '10px', 
-            border: '1px solid red', 
-            backgroundColor: '#ffebee' 
-          }
-        }, [
-          h('strong', {}, 'Render Error: '),
-          h('span', {}, String(error.message || error))
-        ]);
-        proceedWithRendering(errorVNode, container);
+      // A thrown promise means the component is waiting for something to load
+      if (error && typeof error.then === 'function') {
+        instance.effects = [];
+        suspendInstance(instance, error);
+        return null;
+      }
+
+      instance.effects = [];
+      if (catchRenderError(instance, error)) {
+        return null;
       }
+
+      // FIX: Return error component instead of crashing
+      const component = instance.vnode.tag;
+      console.error('Component error:', error, 'Component:', component.name || 'Anonymous');
+      return componentErrorVNode(error);
+    } finally {
+      currentInstance = previousInstance;
     }
   };
 
-  // FIX: Add cleanup system for containers
-  const cleanupContainer = (container) => {
-    if (container._observer) {
-      container._observer.disconnect();
-      container._observer = null;
+  // Suspense boundaries
+  //
+  // A component suspends by throwing a promise, as DomKit.lazy() does while
+  // its component loads. The nearest Suspense boundary shows its fallback
+  // until the promise settles and then renders its children again; without a
+  // boundary the component renders nothing and re-renders itself.
+
+  // Nearest enclosing instance of the given component
+  const findAncestor = (instance, component) => {
+    let parent = instance.parent;
+    while (parent && parent.vnode.tag !== component) {
+      parent = parent.parent;
     }
-    if (container._cleanup) {
-      container._cleanup.forEach(fn => {
-        try { fn(); } catch (e) { console.warn('Cleanup error:', e); }
-      });
-      container._cleanup = null;
+    return parent;
+  };
+
+  const suspendBoundary = (boundary, promise) => {
+    if (boundary.suspended.has(promise)) return;
+    boundary.suspended.add(promise);
+
+    const resume = () => {
+      boundary.suspended.delete(promise);
+      scheduleComponentUpdate(boundary);
+    };
+    promise.then(resume, resume);
+  };
+
+  const suspendInstance = (instance, promise) => {
+    const boundary = findAncestor(instance, Suspense);
+
+    if (boundary) {
+      suspendBoundary(boundary, promise);
+      scheduleComponentUpdate(boundary);
+    } else {
+      const retry = () => scheduleComponentUpdate(instance);
+      promise.then(retry, retry);
     }
   };
 
-  // FIX: Async rendering with proper container validation
-  const proceedWithRenderingAsync = async (vnode, container) => {
-    return new Promise((resolve, reject) => {
-      // FIX: Validate container is still in DOM
-      if (!container || !container.isConnected) {
-        reject(new Error("Container is no longer in DOM"));
-        return;
+  // Error boundaries
+  //
+  // An error thrown while a component renders, on mount or on update, is
+  // caught by the nearest ErrorBoundary above it. The component renders
+  // nothing, the boundary reports the error to onError and then shows its
+  // fallback instead of its children until reset() is called. Errors from
+  // the diff itself (ref callbacks, setting props) are caught when the boundary
+  // mounts or patches its child, see mountComponentChild.
+  const captureBoundaryError = (boundary, error, componentName) => {
+    // The first error wins until the boundary is reset
+    if (boundary.caughtError) return;
+    boundary.caughtError = { error };
+
+    const { onError } = boundary.vnode.props || {};
+    if (typeof onError === 'function') {
+      try {
+        onError(error, { componentName });
+      } catch (reportError) {
+        console.error('ErrorBoundary onError error:', reportError);
       }
+    } else {
+      console.error('Component error:', error, 'Component:', componentName);
+    }
+  };
+
+  const catchRenderError = (instance, error) => {
+    const boundary = findAncestor(instance, ErrorBoundary);
+    if (!boundary) return false;
+
+    if (!boundary.caughtError) {
+      captureBoundaryError(boundary, error, instance.vnode.tag.name || 'Anonymous');
+      scheduleComponentUpdate(boundary);
+    }
+    return true;
+  };
 
+  const getHookInstance = (hookName) => {
+    if (!currentInstance) {
+      throw new Error(`DomKit.${hookName} must be called while a function component renders`);
+    }
+    return currentInstance;
+  };
+
+  const depsChanged = (oldDeps, newDeps) =>
+    !oldDeps ||
+    !newDeps ||
+    oldDeps.length !== newDeps.length ||
+    newDeps.some((dep, i) => !Object.is(dep, oldDeps[i]));
+
+  // Effects run after the DOM has been updated, children before parents
+  const runEffects = () => {
+    effectsScheduled = false;
+    const effects = pendingEffects;
+    pendingEffects = [];
+
+    effects.forEach((effect) => {
       try {
-        // Use requestAnimationFrame for non-blocking render
-        requestAnimationFrame(() => {
-          try {
-            proceedWithRendering(vnode, container);
-            resolve();
-          } catch (error) {
-            reject(error);
-          }
-        });
+        effect();
       } catch (error) {
-        reject(error);
+        console.error('Effect error:', error);
       }
     });
   };
 
-  function proceedWithRendering(vnode, container) {
-    // FIX: Additional container validation
-    if (!container || !container.isConnected) {
-      throw new Error("Invalid or disconnected container");
+  const queueCallbacks = (callbacks) => {
+    if (callbacks.length === 0) return;
+    pendingEffects.push(...callbacks);
+
+    if (!effectsScheduled) {
+      effectsScheduled = true;
+      Promise.resolve().then(runEffects);
     }
+  };
 
-    // FIX: Safe Mutation Observer initialization with cleanup
-    if (typeof MutationObserver !== 'undefined' && !container._observer) {
-      try {
-        container._observer = new MutationObserver(() => {
-          container._externallyModified = true;
-        });
+  const queueEffects = (instance) => {
+    queueCallbacks(instance.effects);
+    instance.effects = [];
+  };
 
-        container._observer.observe(container, {
-          childList: true,
-          subtree: false, // Only observe direct children
-          attributes: false,
-          characterData: false
-        });
+  // onMount(element) and onUpdate(element, oldProps) run with the effects,
+  // once the element is in the document
+  const queueLifecycle = (callback, ...args) => {
+    if (typeof callback === "function") {
+      queueCallbacks([() => callback(...args)]);
+    }
+  };
 
-        // FIX: Add cleanup tracking
-        if (!container._cleanup) container._cleanup = [];
-        container._cleanup.push(() => {
-          if (container._observer) {
-            container._observer.disconnect();
-            container._observer = null;
-          }
-        });
-      } catch (error) {
-        console.warn('MutationObserver setup failed:', error);
+  // Re-render only the components whose state changed, parents first (by
+  // depth) so a child that is also re-rendered by its parent is not rendered twice
+  const scheduleComponentUpdate = (instance) => {
+    if (instance.unmounted || !instance.mounted) return;
+    instance.dirty = true;
+
+    scheduleUpdate(instance, () => {
+      if (instance.dirty && !instance.unmounted) {
+        rerenderComponent(instance);
+      }
+    }, undefined, instance.depth);
+  };
+
+  // Mounted tree
+  //
+  // Every committed vnode gets a mounted node: { vnode, dom, children, instance }.
+  // It remembers the DOM node each vnode produced and the instance of each
+  // component, and is what the next diff compares against. Keeping it separate
+  // from the vnodes means the same vnode object can safely be rendered twice.
+  //
+  // Components and fragments have no DOM node of their own: they occupy the
+  // DOM nodes of their children, which can be several siblings for a fragment.
+  const getDomNodes = (mounted) =>
+    mounted.dom ? [mounted.dom] : [].concat(...mounted.children.map(getDomNodes));
+
+  const getFirstDomNode = (mounted) =>
+    mounted.dom || getFirstDomNode(mounted.children[0]);
+
+  const getLastDomNode = (mounted) =>
+    mounted.dom || getLastDomNode(mounted.children[mounted.children.length - 1]);
+
+  const insertMounted = (parent, mounted, anchor) => {
+    getDomNodes(mounted).forEach((domNode) => parent.insertBefore(domNode, anchor));
+  };
+
+  // Elements inside a Transition stay until their leave animation is done
+  const removeMounted = (parent, mounted) => {
+    getDomNodes(mounted).forEach((domNode) => {
+      if (domNode.parentNode !== parent) return;
+      if (domNode._transition) {
+        leaveElement(domNode);
+      } else {
+        parent.removeChild(domNode);
       }
+    });
+  };
+
+  // An empty fragment keeps an empty text node so it still has a position in the DOM
+  const getFragmentChildren = (vnode) => {
+    const children = toChildArray(vnode.children).map(normalizeVNode);
+    return children.length > 0 ? children : [""];
+  };
+
+  // Portals
+  //
+  // createPortal(vnode, target) renders vnode into target while it stays part
+  // of the tree it was rendered in: it is diffed with it, unmounted with it,
+  // and events from inside it bubble to its logical ancestors.
+  const resolvePortalTarget = (target) => {
+    const element = typeof target === "string" ? document.querySelector(target) : target;
+    if (!element || element.nodeType !== 1) {
+      console.error("DomKit.createPortal: target not found", target);
+      return null;
     }
+    return element;
+  };
 
-    // Force reset if we detect external changes
-    if (container._externallyModified) {
-      container._vdom = null;
-      container._externallyModified = false;
+  // Point the top DOM nodes of the portal's content at its placeholder, for
+  // event dispatch, and have the target listen for delegated events
+  const linkPortal = (mounted) => {
+    mounted.children.forEach((child) => {
+      getDomNodes(child).forEach((domNode) => {
+        domNode._portal = mounted.dom;
+      });
+    });
+    ensureEventDelegation(mounted.portal);
+  };
+
+  const createPortal = (vnode, target, key) => {
+    const props = key != null ? { target, key } : { target };
+    return { tag: Portal, props, children: toChildArray(vnode).filter((child) => child != null) };
+  };
+
+  // Render a component and mount or patch its child. An ErrorBoundary's child
+  // that throws anywhere while it is mounted or patched is replaced by the
+  // boundary's fallback; an error from the fallback goes to the next boundary.
+  const mountComponentChild = (instance, namespace) => {
+    if (instance.vnode.tag !== ErrorBoundary) {
+      return mountNode(renderComponent(instance), instance, namespace);
     }
 
-    // FIX: Mark container as DomKit managed
-    if (!container.hasAttribute('data-domkit-container')) {
-      container.setAttribute('data-domkit-container', 'true');
+    try {
+      return mountNode(renderComponent(instance), instance, namespace);
+    } catch (error) {
+      if (instance.caughtError) throw error;
+      captureBoundaryError(instance, error, null);
+      return mountNode(renderComponent(instance), instance, namespace);
     }
+  };
+
+  // Run patch, which diffs boundary's child or something inside it. If it
+  // throws, the half updated DOM the child occupied is removed and the
+  // boundary's fallback mounted from scratch in its place.
+  const patchInBoundary = (boundary, patch) => {
+    const child = boundary.mounted.children[0];
+    const parent = getFirstDomNode(child).parentNode;
+    const before = getFirstDomNode(child).previousSibling;
+    const after = getLastDomNode(child).nextSibling;
 
-    // FIX: Wrap rendering in try-catch for error boundaries
     try {
-      // Render with diffing or create from scratch
-      if (!container._vdom) {
-        // Clear container efficiently
-        while (container.firstChild) {
-          container.removeChild(container.firstChild);
-        }
-        container.appendChild(createDomElement(vnode));
-        container._vdom = vnode;
-      } else {
-        // Update existing DOM using diffing
-        updateElement(container, vnode, container._vdom, 0);
-        container._vdom = vnode;
-      }
+      return patch();
     } catch (error) {
-      console.error('Render error:', error);
-      // FIX: Show error in proper VDOM format
-      const errorVNode = h('div', { 
-        className: 'domkit-render-error',
-        style: { color: 'red', padding: '5px', border: '1px solid red' }
-      }, `Render Error: ${error.message}`);
-      
-      container._vdom = errorVNode;
-      while (container.firstChild) {
-        container.removeChild(container.firstChild);
+      if (boundary.caughtError) throw error;
+      captureBoundaryError(boundary, error, null);
+
+      let domNode = before ? before.nextSibling : parent.firstChild;
+      while (domNode && domNode !== after) {
+        const next = domNode.nextSibling;
+        parent.removeChild(domNode);
+        domNode = next;
+      }
+      try {
+        unmountNode(child);
+      } catch (unmountError) {
+        console.error('Unmount error:', unmountError);
+      }
+
+      const fallback = mountNode(renderComponent(boundary), boundary, getChildNamespace(parent));
+      insertMounted(parent, fallback, after);
+      boundary.mounted.children = [fallback];
+      return fallback;
+    }
+  };
+
+  const patchComponentChild = (parent, instance) => {
+    const patch = () =>
+      patchNode(parent, instance.mounted.children[0], renderComponent(instance), instance);
+    return instance.vnode.tag === ErrorBoundary ? patchInBoundary(instance, patch) : patch();
+  };
+
+  const mountNode = (vnode, parentInstance, namespace = null) => {
+    vnode = normalizeVNode(vnode);
+    const mounted = { vnode, dom: null, children: [], instance: null };
+
+    // Handle null/undefined cases and text nodes
+    if (vnode === null || vnode === undefined || typeof vnode !== "object") {
+      const text = vnode === null || vnode === undefined || typeof vnode === "boolean"
+        ? ""
+        : vnode;
+      mounted.dom = document.createTextNode(text);
+      return mounted;
+    }
+
+    // Function components render into a single child
+    if (isComponentVNode(vnode)) {
+      const instance = createInstance(vnode, parentInstance);
+      instance.mounted = mounted;
+      mounted.instance = instance;
+      mounted.children = [mountComponentChild(instance, namespace)];
+      queueEffects(instance);
+      return mounted;
+    }
+
+    // Fragments render their children as siblings, without a wrapper element
+    if (vnode.tag === Fragment) {
+      mounted.children = getFragmentChildren(vnode).map((child) =>
+        mountNode(child, parentInstance, namespace)
+      );
+      return mounted;
+    }
+
+    // Portals leave an empty text node in place and render into their target
+    if (vnode.tag === Portal) {
+      mounted.dom = document.createTextNode("");
+      mounted.portal = resolvePortalTarget(vnode.props.target);
+      if (mounted.portal) {
+        mounted.children = toChildArray(vnode.children).map((child) => {
+          const childMounted = mountNode(child, parentInstance, getChildNamespace(mounted.portal));
+          insertMounted(mounted.portal, childMounted, null);
+          return childMounted;
+        });
+        linkPortal(mounted);
       }
-      container.appendChild(createDomElement(errorVNode));
+      return mounted;
     }
 
-    // Components should now be loaded
-    const config = DomKit.getComponentConfig();
-    console.log('Components after render:', config.loadedComponents);
-  }
+    // Handle SVG and MathML elements, whose children inherit the namespace
+    let element;
+    const elementNamespace = getElementNamespace(vnode.tag, vnode.props, namespace);
+    if (elementNamespace) {
+      element = document.createElementNS(elementNamespace, vnode.tag);
+    } else {
+      element = document.createElement(vnode.tag);
+    }
 
-  // Create a helper function to standardize the pattern
-  const createApp = (renderFn, initialState, containerSelector) => {
-    const container =
-      typeof containerSelector === "string"
-        ? document.querySelector(containerSelector)
-        : containerSelector;
+    // Set properties
+    if (vnode.props) {
+      updateProps(element, vnode.props, {});
 
-    if (!container) {
-      console.error(`Container not found: ${containerSelector}`);
-      return;
+      // Handle ref property
+      if (vnode.props.ref && typeof vnode.props.ref === "function") {
+        vnode.props.ref(element);
+      }
     }
 
-    const state = DomKit.createState(initialState);
+    mounted.dom = element;
+    mounted.children = toChildArray(vnode.children).map((child) => {
+      const childMounted = mountNode(child, parentInstance, getChildNamespace(element));
+      insertMounted(element, childMounted, null);
+      return childMounted;
+    });
 
-    const update = () => {
-      const vnode = renderFn(state.getState(), state.setState.bind(state));
-      DomKit.render(vnode, container);
-    };
+    if (vnode.props) {
+      syncSelectValue(element, vnode.props);
+      queueLifecycle(vnode.props.onMount, element);
+    }
+    return mounted;
+  };
 
-    // Subscribe to state changes
-    state.subscribe(update);
+  // Tear down a mounted subtree that has been removed: effect cleanups of
+  // components, onUnmount callbacks and the _cleanup functions of elements
+  const unmountNode = (mounted) => {
+    // Portal children are in another container, so they are removed here
+    if (mounted.portal) {
+      mounted.children.forEach((child) => removeMounted(mounted.portal, child));
+    }
+    mounted.children.forEach(unmountNode);
 
-    // Initial render
-    update();
+    const element = mounted.dom;
+    if (element && element.nodeType === 1) {
+      const props = mounted.vnode && mounted.vnode.props;
+      if (props && typeof props.onUnmount === "function") {
+        try {
+          props.onUnmount(element);
+        } catch (error) {
+          console.error('onUnmount error:', error);
+        }
+      }
 
-    return {
-      getState: state.getState,
-      setState: state.setState,
-    };
+      if (element._cleanup) {
+        element._cleanup.forEach(fn => {
+          try { fn(); } catch (e) { console.warn('Cleanup error:', e); }
+        });
+        element._cleanup = null;
+      }
+    }
+
+    if (mounted.instance) {
+      const instance = mounted.instance;
+      instance.unmounted = true;
+      instance.effects = [];
+      cancelUpdate(instance);
+
+      instance.hooks.forEach((hook) => {
+        if (hook && typeof hook.cleanup === "function") {
+          try {
+            hook.cleanup();
+          } catch (error) {
+            console.error('Effect cleanup error:', error);
+          }
+          hook.cleanup = null;
+        }
+      });
+    }
   };
 
-  // Simple component factory
-  const createComponent = (template) => {
-    return (props) => {
+  // Longest increasing subsequence of old indices, used to find the children
+  // that can stay where they are while the others are moved around them.
+  // Entries of -1 (new children) are skipped. Returns positions in `sources`.
+  const longestIncreasingSubsequence = (sources) => {
+    const predecessors = new Array(sources.length);
+    const tails = [];
+
+    for (let i = 0; i < sources.length; i++) {
+      const value = sources[i];
+      if (value === -1) continue;
+
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sources[tails[mid]] < value) low = mid + 1;
+        else high = mid;
+      }
+
+      predecessors[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    }
+
+    const result = new Array(tails.length);
+    let current = tails.length > 0 ? tails[tails.length - 1] : -1;
+    for (let i = tails.length - 1; i >= 0; i--) {
+      result[i] = current;
+      current = predecessors[current];
+    }
+    return result;
+  };
+
+  // Patch a mounted node in place, or replace it if the vnode type changed.
+  // Returns the mounted node that now represents newNode.
+  const patchNode = (parent, mounted, newNode, parentInstance) => {
+    newNode = normalizeVNode(newNode);
+    const oldNode = mounted.vnode;
+
+    // Support for custom renderers (for focus retention)
+    let postRenderCallback = null;
+    if (newNode && typeof newNode === "object" && newNode._customRender) {
+      postRenderCallback = newNode._customRender(oldNode);
+    }
+
+    // If nodes are of a different type, replace old with new
+    if (!isSameNodeType(newNode, oldNode)) {
+      const replacement = mountNode(newNode, parentInstance, getChildNamespace(parent));
+      insertMounted(parent, replacement, getFirstDomNode(mounted));
+      removeMounted(parent, mounted);
+      unmountNode(mounted);
+      if (postRenderCallback) postRenderCallback();
+      return replacement;
+    }
+
+    mounted.vnode = newNode;
+
+    // Function components keep their instance and re-render with the new props
+    if (mounted.instance) {
+      const instance = mounted.instance;
+      instance.vnode = newNode;
+      mounted.children = [patchComponentChild(parent, instance)];
+      queueEffects(instance);
+      return mounted;
+    }
+
+    // Fragments diff their children in the parent, before whatever follows them
+    if (newNode.tag === Fragment) {
+      const endAnchor = getLastDomNode(mounted).nextSibling;
+      mounted.children = updateChildren(
+        parent,
+        getFragmentChildren(newNode),
+        mounted.children,
+        parentInstance,
+        endAnchor
+      );
+      return mounted;
+    }
+
+    // Portals diff their children in their target, moving them if it changed
+    if (newNode.tag === Portal) {
+      const target = resolvePortalTarget(newNode.props.target);
+      if (target !== mounted.portal) {
+        mounted.children.forEach((child) => {
+          if (target) {
+            insertMounted(target, child, null);
+          } else {
+            removeMounted(mounted.portal, child);
+            unmountNode(child);
+          }
+        });
+        if (!target) mounted.children = [];
+        mounted.portal = target;
+      }
+
+      if (target) {
+        mounted.children = updateChildren(
+          target,
+          toChildArray(newNode.children).map(normalizeVNode),
+          mounted.children,
+          parentInstance
+        );
+        linkPortal(mounted);
+      }
+      return mounted;
+    }
+
+    // Text nodes only need their content updated
+    if (newNode === null || newNode === undefined || typeof newNode !== "object") {
+      const text = newNode === null || newNode === undefined || typeof newNode === "boolean"
+        ? ""
+        : String(newNode);
+      if (mounted.dom.nodeValue !== text) {
+        mounted.dom.nodeValue = text;
+      }
+      if (postRenderCallback) postRenderCallback();
+      return mounted;
+    }
+
+    // Update properties
+    updateProps(mounted.dom, newNode.props || {}, oldNode.props || {});
+
+    // Recursively update children
+    mounted.children = updateChildren(
+      mounted.dom,
+      toChildArray(newNode.children).map(normalizeVNode),
+      mounted.children,
+      parentInstance
+    );
+
+    if (newNode.props) {
+      syncSelectValue(mounted.dom, newNode.props);
+      queueLifecycle(newNode.props.onUpdate, mounted.dom, oldNode.props || {});
+    }
+
+    // Run post-render callback (for focus retention)
+    if (postRenderCallback) postRenderCallback();
+    return mounted;
+  };
+
+  // Reconcile a list of children. Keyed children are matched by key wherever
+  // they are in the old list and their DOM nodes are moved, not rebuilt.
+  // Unkeyed children are matched in order against the unkeyed old children.
+  // endAnchor is the DOM node the children end before (null for the end of parent).
+  const updateChildren = (parent, newChildren, oldMounted, parentInstance, endAnchor = null) => {
+    const oldKeyed = new Map();
+    const oldUnkeyed = [];
+    oldMounted.forEach((mounted, i) => {
+      const key = getKey(mounted.vnode);
+      if (key !== undefined && key !== null) {
+        if (oldKeyed.has(key)) {
+          console.warn(`DomKit: duplicate key "${key}" among siblings`);
+        } else {
+          oldKeyed.set(key, i);
+          return;
+        }
+      }
+      oldUnkeyed.push(i);
+    });
+
+    // Find the old child each new child reuses (-1 when it has to be created)
+    const sources = new Array(newChildren.length).fill(-1);
+    const used = new Array(oldMounted.length).fill(false);
+    let unkeyedCursor = 0;
+
+    newChildren.forEach((child, i) => {
+      const key = getKey(child);
+      let oldIndex = -1;
+
+      if (key !== undefined && key !== null) {
+        if (oldKeyed.has(key)) {
+          oldIndex = oldKeyed.get(key);
+          oldKeyed.delete(key);
+        }
+      } else if (unkeyedCursor < oldUnkeyed.length) {
+        oldIndex = oldUnkeyed[unkeyedCursor++];
+      }
+
+      if (oldIndex !== -1 && isSameNodeType(child, oldMounted[oldIndex].vnode)) {
+        sources[i] = oldIndex;
+        used[oldIndex] = true;
+      }
+    });
+
+    // Remove old children that were not reused
+    oldMounted.forEach((mounted, i) => {
+      if (!used[i]) {
+        removeMounted(parent, mounted);
+        unmountNode(mounted);
+      }
+    });
+
+    // Patch reused children in place and create the new ones
+    const newMounted = newChildren.map((child, i) =>
+      sources[i] === -1
+        ? mountNode(child, parentInstance, getChildNamespace(parent))
+        : patchNode(parent, oldMounted[sources[i]], child, parentInstance)
+    );
+
+    // Move and insert, walking backwards so the next sibling is always in place
+    const stable = new Set(longestIncreasingSubsequence(sources));
+    let anchor = endAnchor;
+
+    for (let i = newMounted.length - 1; i >= 0; i--) {
+      const firstDomNode = getFirstDomNode(newMounted[i]);
+      if (!stable.has(i) || firstDomNode.parentNode !== parent) {
+        insertMounted(parent, newMounted[i], anchor);
+      }
+      anchor = firstDomNode;
+    }
+
+    return newMounted;
+  };
+
+  // Re-render a single component instance after its state changed
+  const rerenderComponent = (instance) => {
+    const mounted = instance.mounted;
+    const parent = getFirstDomNode(mounted).parentNode;
+    if (!parent) return;
+
+    const update = () => {
+      mounted.children = [patchComponentChild(parent, instance)];
+      queueEffects(instance);
+    };
+
+    // A component re-rendered on its own is still inside its ErrorBoundary
+    const boundary = instance.vnode.tag === ErrorBoundary ? null : findAncestor(instance, ErrorBoundary);
+    if (boundary) {
+      const boundaryChild = boundary.mounted.children[0];
+      patchInBoundary(boundary, () => {
+        update();
+        return boundaryChild;
+      });
+      if (instance.unmounted) return;
+    } else {
+      update();
+    }
+    loadMissingComponents(mounted, () => scheduleComponentUpdate(instance));
+  };
+
+  // DOM diffing algorithm: diff the root of a container against what is mounted
+  const updateElement = (parent, newNode, oldMounted) => {
+    if (!parent || typeof parent.nodeType !== 'number') {
+      console.error("Invalid parent node");
+      return oldMounted;
+    }
+
+    // If nothing is mounted yet, append new node
+    if (!oldMounted) {
+      let postRenderCallback = null;
+      if (newNode && typeof newNode === "object" && newNode._customRender) {
+        postRenderCallback = newNode._customRender(null);
+      }
+      const mounted = mountNode(newNode, null, getChildNamespace(parent));
+      insertMounted(parent, mounted, null);
+      if (postRenderCallback) postRenderCallback();
+      return mounted;
+    }
+
+    return patchNode(parent, oldMounted, newNode, null);
+  };
+
+  // Create DOM element from virtual node, add support for refs and custom renderers
+  const createDomElement = (vnode) => {
+    try {
+      const domNodes = getDomNodes(mountNode(vnode, null));
+      if (domNodes.length === 1) return domNodes[0];
+
+      // Fragments come back as a DocumentFragment holding all their nodes
+      const fragment = document.createDocumentFragment();
+      domNodes.forEach((domNode) => fragment.appendChild(domNode));
+      return fragment;
+    } catch (error) {
+      console.error('Failed to create DOM element:', error, vnode);
+      return document.createTextNode('');
+    }
+  };
+
+  // Server-side rendering helpers (no DOM required)
+  const VOID_ELEMENTS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input",
+    "link", "meta", "param", "source", "track", "wbr"
+  ]);
+
+  // Names that are safe to write into markup as they are; anything else could
+  // close the tag or start a new one
+  const SAFE_NAME = /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/;
+
+  // Elements whose text is written as it is, not HTML-escaped
+  const RAW_TEXT_ELEMENTS = new Set(["script", "style"]);
+
+  const escapeHtml = (value) =>
+    String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+
+  // Convert a style object into CSS text, e.g. { fontSize: '12px' } -> "font-size:12px"
+  const styleToString = (style) =>
+    Object.keys(style)
+      .filter((prop) => style[prop] !== null && style[prop] !== undefined && style[prop] !== "")
+      .map((prop) => {
+        const name = prop.startsWith("--")
+          ? prop
+          : prop.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+        return `${name}:${style[prop]}`;
+      })
+      .join(";");
+
+  const propsToAttributes = (props, namespace = null) => {
+    let result = "";
+
+    Object.keys(props).forEach((name) => {
+      const value = props[name];
+
+      if (RESERVED_PROPS.has(name) || LIFECYCLE_PROPS.has(name)) return;
+      if (typeof value === "function" || isEventProp(name, value)) return;
+
+      if (name === "style" && typeof value === "object" && value !== null) {
+        const css = styleToString(value);
+        if (css) result += ` style="${escapeHtml(css)}"`;
+        return;
+      }
+
+      const attrName = getAttributeName(name, namespace);
+      if (!SAFE_NAME.test(attrName)) {
+        console.warn(`renderToString: skipping invalid attribute name "${attrName}"`);
+        return;
+      }
+      const attrValue = toAttributeValue(attrName, value);
+      if (attrValue === null) return;
+
+      result += attrValue === "" && value === true
+        ? ` ${attrName}`
+        : ` ${attrName}="${escapeHtml(attrValue)}"`;
+    });
+
+    return result;
+  };
+
+  // Render a vnode to HTML; namespace is that of the enclosing svg/math element
+  // and parentInstance the enclosing component, for Suspense boundaries
+  const renderNodeToString = (vnode, namespace, parentInstance = null) => {
+    // Handle null/undefined cases
+    if (vnode === null || vnode === undefined || typeof vnode === "boolean") {
+      return "";
+    }
+
+    // Handle text nodes
+    if (typeof vnode === "string" || typeof vnode === "number") {
+      return escapeHtml(vnode);
+    }
+
+    if (Array.isArray(vnode)) {
+      return vnode.map((child) => renderNodeToString(child, namespace, parentInstance)).join("");
+    }
+
+    // Handle component references with a throwaway instance so hooks work;
+    // effects never run on the server
+    if (typeof vnode.tag === "function") {
+      const instance = createInstance(vnode, parentInstance);
+      return renderNodeToString(renderComponent(instance), namespace, instance);
+    }
+
+    if (vnode.tag === Fragment) {
+      return toChildArray(vnode.children)
+        .map((child) => renderNodeToString(child, namespace, parentInstance))
+        .join("");
+    }
+
+    // Portal content is rendered on the client, when the page is hydrated
+    if (vnode.tag === Portal) {
+      return "";
+    }
+
+    if (typeof vnode.tag !== "string") {
+      console.error("renderToString: invalid vnode", vnode);
+      return "";
+    }
+
+    const tag = vnode.tag;
+    if (!SAFE_NAME.test(tag)) {
+      console.warn(`renderToString: skipping invalid tag name "${tag}"`);
+      return "";
+    }
+    const props = vnode.props || {};
+    const elementNamespace = getElementNamespace(tag, props, namespace);
+
+    // A textarea's value is its text content
+    if (!elementNamespace && tag.toLowerCase() === "textarea" && props.value !== undefined && props.value !== null) {
+      const { value, ...rest } = props;
+      return `<${tag}${propsToAttributes(rest)}>${escapeHtml(value)}</${tag}>`;
+    }
+
+    const attributes = propsToAttributes(props, elementNamespace);
+
+    if (!elementNamespace && VOID_ELEMENTS.has(tag.toLowerCase())) {
+      return `<${tag}${attributes}>`;
+    }
+
+    // Script and style text is not escaped, so that it matches the client's
+    // text nodes; only a closing tag inside it is broken up
+    if (!elementNamespace && RAW_TEXT_ELEMENTS.has(tag.toLowerCase())) {
+      const closing = new RegExp(`</(${tag})`, "gi");
+      const text = toChildArray(vnode.children)
+        .map((child) =>
+          typeof child === "string" || typeof child === "number"
+            ? String(child).replace(closing, "<\\/$1")
+            : renderNodeToString(child, null, parentInstance))
+        .join("");
+      return `<${tag}${attributes}>${text}</${tag}>`;
+    }
+
+    const childNamespace = elementNamespace === SVG_NS && tag === "foreignObject"
+      ? null
+      : elementNamespace === SVG_NS || elementNamespace === MATHML_NS ? elementNamespace : null;
+    const children = toChildArray(vnode.children)
+      .map((child) => renderNodeToString(child, childNamespace, parentInstance))
+      .join("");
+    return `<${tag}${attributes}>${children}</${tag}>`;
+  };
+
+  // Render a virtual DOM tree to an HTML string
+  const renderToString = (vnode) => renderNodeToString(vnode, null);
+
+  // Enhanced render function to handle component loading (FIXED)
+  const render = async (vnode, container) => {
+    // FIX: Container validation
+    if (!container) {
+      console.error("Render failed: no container provided");
+      return Promise.reject(new Error("No container provided"));
+    }
+
+    if (typeof container === "string") {
+      const domContainer = document.querySelector(container);
+      if (!domContainer) {
+        console.error(`Container not found: ${container}`);
+        return Promise.reject(new Error(`Container not found: ${container}`));
+      }
+      container = domContainer;
+    }
+
+    // FIX: Race condition protection
+    const currentRequestId = ++renderRequestId;
+    renderRequests.set(container, currentRequestId);
+
+    // Helper to check if this render request is still current
+    const isCurrentRequest = () => renderRequests.get(container) === currentRequestId;
+
+    try {
+      // Render right away: components that still have to load show their
+      // placeholder, or the fallback of their Suspense boundary, so the rest
+      // of the page keeps its DOM and stays interactive
+      await proceedWithRenderingAsync(vnode, container);
+
+      // Load the components whose placeholders were rendered, including those
+      // used by function components, and render again until none are missing
+      let missingNames = container._mounted
+        ? findMountedComponentNames(container._mounted)
+        : [];
+
+      while (missingNames.length > 0) {
+        // One that fails to load renders its fallback
+        await loadComponentsSettled(missingNames);
+
+        // FIX: Check if this render is still current before proceeding
+        if (!isCurrentRequest()) {
+          console.log('Render request superseded, aborting');
+          return;
+        }
+
+        vnode = recreateVNodeWithComponents(vnode);
+        await proceedWithRenderingAsync(vnode, container);
+        missingNames = findMountedComponentNames(container._mounted);
+      }
+
+    } catch (error) {
+      // FIX: Use proper VDOM for error display instead of innerHTML
+      if (isCurrentRequest()) {
+        console.error('Failed to render:', error);
+        const errorVNode = h('div', { 
+          className: 'domkit-error',
+          style: { 
+            color: 'red', 
+            padding: '10px', 
+            border: '1px solid red', 
+            backgroundColor: '#ffebee' 
+          }
+        }, [
+          h('strong', {}, 'Render Error: '),
+          h('span', {}, String(error.message || error))
+        ]);
+        proceedWithRendering(errorVNode, container);
+      }
+    }
+  };
+
+  // FIX: Add cleanup system for containers
+  const cleanupContainer = (container) => {
+    if (container._observer) {
+      container._observer.disconnect();
+      container._observer = null;
+    }
+    if (container._mounted) {
+      unmountNode(container._mounted);
+      container._mounted = null;
+    }
+    if (container._cleanup) {
+      container._cleanup.forEach(fn => {
+        try { fn(); } catch (e) { console.warn('Cleanup error:', e); }
+      });
+      container._cleanup = null;
+    }
+  };
+
+  // FIX: Safe Mutation Observer initialization with cleanup
+  const observeContainer = (container) => {
+    if (typeof MutationObserver !== 'undefined' && !container._observer) {
+      try {
+        container._observer = new MutationObserver(() => {
+          container._externallyModified = true;
+        });
+
+        container._observer.observe(container, {
+          childList: true,
+          subtree: false, // Only observe direct children
+          attributes: false,
+          characterData: false
+        });
+
+        // FIX: Add cleanup tracking
+        if (!container._cleanup) container._cleanup = [];
+        container._cleanup.push(() => {
+          if (container._observer) {
+            container._observer.disconnect();
+            container._observer = null;
+          }
+        });
+      } catch (error) {
+        console.warn('MutationObserver setup failed:', error);
+      }
+    }
+  };
+
+  // Renders waiting for the scheduler, per container: only the latest vnode
+  // is rendered and every caller is settled once it is committed
+  const pendingRenders = new WeakMap();
+
+  // FIX: Async rendering with proper container validation
+  const proceedWithRenderingAsync = async (vnode, container) => {
+    return new Promise((resolve, reject) => {
+      // FIX: Validate container is still in DOM
+      if (!container || !container.isConnected) {
+        reject(new Error("Container is no longer in DOM"));
+        return;
+      }
+
+      const pending = pendingRenders.get(container) || { callers: [] };
+      pending.vnode = vnode;
+      pending.callers.push({ resolve, reject });
+      pendingRenders.set(container, pending);
+
+      scheduleUpdate(container, () => {
+        pendingRenders.delete(container);
+        try {
+          proceedWithRendering(pending.vnode, container);
+          pending.callers.forEach(caller => caller.resolve());
+        } catch (error) {
+          pending.callers.forEach(caller => caller.reject(error));
+        }
+      });
+    });
+  };
+
+  function proceedWithRendering(vnode, container) {
+    // FIX: Additional container validation
+    if (!container || !container.isConnected) {
+      throw new Error("Invalid or disconnected container");
+    }
+
+    observeContainer(container);
+    ensureEventDelegation(container);
+
+    // Force reset if we detect external changes
+    if (container._externallyModified) {
+      container._vdom = null;
+      container._externallyModified = false;
+    }
+
+    // FIX: Mark container as DomKit managed
+    if (!container.hasAttribute('data-domkit-container')) {
+      container.setAttribute('data-domkit-container', 'true');
+    }
+
+    // FIX: Wrap rendering in try-catch for error boundaries
+    try {
+      // Render with diffing or create from scratch
+      if (!container._vdom || !container._mounted) {
+        if (container._mounted) {
+          unmountNode(container._mounted);
+        }
+        // Clear container efficiently
+        while (container.firstChild) {
+          container.removeChild(container.firstChild);
+        }
+        container._mounted = updateElement(container, vnode, null);
+        container._vdom = vnode;
+      } else {
+        // Update existing DOM using diffing
+        container._mounted = updateElement(container, vnode, container._mounted);
+        container._vdom = vnode;
+      }
+    } catch (error) {
+      console.error('Render error:', error);
+      // FIX: Show error in proper VDOM format
+      const errorVNode = h('div', { 
+        className: 'domkit-render-error',
+        style: { color: 'red', padding: '5px', border: '1px solid red' }
+      }, `Render Error: ${error.message}`);
+      
+      container._vdom = errorVNode;
+      if (container._mounted) {
+        unmountNode(container._mounted);
+      }
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      container._mounted = updateElement(container, errorVNode, null);
+    }
+
+    // Our own mutations are not external changes; drop them so the next
+    // render can diff against _vdom instead of rebuilding everything
+    if (container._observer) {
+      container._observer.takeRecords();
+    }
+
+    // Components should now be loaded
+    const config = DomKit.getComponentConfig();
+    console.log('Components after render:', config.loadedComponents);
+  }
+
+  // Hydration: adopt server-rendered markup instead of rebuilding it
+  // Mismatch warnings are for development; hydrate(..., { reportMismatches: false }) turns them off
+  let reportMismatches = true;
+
+  const reportHydrationMismatch = (message, domNode, vnode) => {
+    if (!reportMismatches) return;
+    console.warn(`DomKit hydration mismatch: ${message}`, { dom: domNode, vnode });
+  };
+
+  const isWhitespaceText = (domNode) =>
+    domNode.nodeType === 3 && !domNode.nodeValue.trim();
+
+  // Skip comments (and whitespace between elements) that the server may have emitted
+  const nextHydratableNode = (parent, domNode, vnode) => {
+    const expectsText = typeof vnode === "string" || typeof vnode === "number";
+    while (domNode && (domNode.nodeType === 8 || (!expectsText && isWhitespaceText(domNode)))) {
+      const next = domNode.nextSibling;
+      parent.removeChild(domNode);
+      domNode = next;
+    }
+    return domNode;
+  };
+
+  // Mount vnode from scratch in place of domNode (or at the end of parent)
+  const replaceWithMounted = (parent, domNode, vnode, parentInstance) => {
+    const mounted = mountNode(vnode, parentInstance, getChildNamespace(parent));
+    insertMounted(parent, mounted, domNode || null);
+    if (domNode) parent.removeChild(domNode);
+    return mounted;
+  };
+
+  // Hydrate domNode against vnode. Returns the mounted node now representing
+  // vnode; mismatching nodes are reported and replaced by freshly created ones.
+  const hydrateNode = (parent, domNode, vnode, parentInstance) => {
+    // Function components get an instance, just like when they are mounted
+    if (isComponentVNode(vnode)) {
+      const mounted = { vnode, dom: null, children: [], instance: null };
+      const instance = createInstance(vnode, parentInstance);
+      instance.mounted = mounted;
+      mounted.instance = instance;
+      mounted.children = [hydrateNode(parent, domNode, renderComponent(instance), instance)];
+      queueEffects(instance);
+      return mounted;
+    }
+
+    vnode = normalizeVNode(vnode);
+
+    // Fragment children are hydrated one after another against sibling nodes
+    if (vnode && typeof vnode === "object" && vnode.tag === Fragment) {
+      let cursor = domNode;
+      const children = getFragmentChildren(vnode).map((child) => {
+        const hydrated = hydrateNode(parent, cursor, child, parentInstance);
+        cursor = getLastDomNode(hydrated).nextSibling;
+        return hydrated;
+      });
+      return { vnode, dom: null, children, instance: null };
+    }
+
+    // The server rendered nothing for a portal, so it is mounted fresh
+    if (vnode && typeof vnode === "object" && vnode.tag === Portal) {
+      const mounted = mountNode(vnode, parentInstance);
+      parent.insertBefore(mounted.dom, domNode || null);
+      return mounted;
+    }
+
+    domNode = nextHydratableNode(parent, domNode, vnode);
+
+    // Handle null/undefined and text nodes
+    if (vnode === null || vnode === undefined || typeof vnode !== "object") {
+      const text = vnode === null || vnode === undefined || typeof vnode === "boolean"
+        ? ""
+        : String(vnode);
+      const mounted = { vnode, dom: domNode, children: [], instance: null };
+
+      if (!domNode || domNode.nodeType !== 3) {
+        // Empty text produces no markup on the server, so it is not a mismatch
+        if (text) reportHydrationMismatch(`expected text "${text}"`, domNode, vnode);
+        mounted.dom = document.createTextNode(text);
+        parent.insertBefore(mounted.dom, domNode || null);
+        return mounted;
+      }
+
+      // Adjacent text children are merged into a single DOM text node by the parser
+      if (domNode.nodeValue.length > text.length && domNode.nodeValue.startsWith(text)) {
+        domNode.splitText(text.length);
+        return mounted;
+      }
+
+      if (domNode.nodeValue !== text) {
+        reportHydrationMismatch(`text content "${domNode.nodeValue}" does not match "${text}"`, domNode, vnode);
+        domNode.nodeValue = text;
+      }
+      return mounted;
+    }
+
+    if (
+      !domNode ||
+      domNode.nodeType !== 1 ||
+      domNode.nodeName.toLowerCase() !== String(vnode.tag).toLowerCase()
+    ) {
+      reportHydrationMismatch(`expected <${vnode.tag}>`, domNode, vnode);
+      return replaceWithMounted(parent, domNode, vnode, parentInstance);
+    }
+
+    const props = vnode.props || {};
+    if (
+      typeof props.className === "string" &&
+      (domNode.getAttribute("class") || "") !== props.className
+    ) {
+      reportHydrationMismatch(
+        `class "${domNode.getAttribute("class")}" does not match "${props.className}"`,
+        domNode,
+        vnode
+      );
+    }
+
+    // Attaches event listeners and refs, and corrects any differing attributes
+    updateProps(domNode, props, {});
+
+    // Hydrate children against the existing child nodes
+    let child = domNode.firstChild;
+    const children = toChildArray(vnode.children).map((childVNode) => {
+      const hydrated = hydrateNode(domNode, child, childVNode, parentInstance);
+      child = getLastDomNode(hydrated).nextSibling;
+      return hydrated;
+    });
+
+    // Remove markup the vnode tree does not know about
+    while (child) {
+      const next = child.nextSibling;
+      if (child.nodeType !== 8 && !isWhitespaceText(child)) {
+        reportHydrationMismatch("unexpected extra node", child, vnode);
+      }
+      domNode.removeChild(child);
+      child = next;
+    }
+
+    syncSelectValue(domNode, props);
+    queueLifecycle(props.onMount, domNode);
+    return { vnode, dom: domNode, children, instance: null };
+  };
+
+  // Attach a vnode tree to server-rendered markup (e.g. from renderToString)
+  const hydrate = async (vnode, container, options = {}) => {
+    if (!container) {
+      console.error("Hydrate failed: no container provided");
+      return Promise.reject(new Error("No container provided"));
+    }
+
+    if (typeof container === "string") {
+      const domContainer = document.querySelector(container);
+      if (!domContainer) {
+        console.error(`Container not found: ${container}`);
+        return Promise.reject(new Error(`Container not found: ${container}`));
+      }
+      container = domContainer;
+    }
+
+    const currentRequestId = ++renderRequestId;
+    renderRequests.set(container, currentRequestId);
+
+    // Load components without showing the loading state, which would replace
+    // the markup. A component that fails to load renders its fallback.
+    const componentNames = findComponentNames(vnode);
+    if (componentNames.length > 0) {
+      await loadComponentsSettled(componentNames);
+
+      if (renderRequests.get(container) !== currentRequestId) {
+        console.log('Hydrate request superseded, aborting');
+        return;
+      }
+
+      vnode = recreateVNodeWithComponents(vnode);
+    }
+
+    observeContainer(container);
+    ensureEventDelegation(container);
+    if (!container.hasAttribute('data-domkit-container')) {
+      container.setAttribute('data-domkit-container', 'true');
+    }
+
+    reportMismatches = options.reportMismatches !== false;
+    let root;
+    try {
+      root = hydrateNode(container, container.firstChild, vnode, null);
+
+      let extra = getLastDomNode(root).nextSibling;
+      while (extra) {
+        const next = extra.nextSibling;
+        if (extra.nodeType !== 8 && !isWhitespaceText(extra)) {
+          reportHydrationMismatch("unexpected extra node", extra, vnode);
+        }
+        container.removeChild(extra);
+        extra = next;
+      }
+    } finally {
+      reportMismatches = true;
+    }
+
+    container._vdom = vnode;
+    container._mounted = root;
+    container._externallyModified = false;
+    if (container._observer) {
+      container._observer.takeRecords();
+    }
+
+    // Components used inside function components are only found once rendered
+    loadMissingComponents(root, () => {
+      if (renderRequests.get(container) === currentRequestId) {
+        proceedWithRendering(vnode, container);
+      }
+    });
+  };
+
+  // Create a helper function to standardize the pattern
+  const createApp = (renderFn, initialState, containerSelector) => {
+    const container =
+      typeof containerSelector === "string"
+        ? document.querySelector(containerSelector)
+        : containerSelector;
+
+    if (!container) {
+      console.error(`Container not found: ${containerSelector}`);
+      return;
+    }
+
+    // A store can be passed instead of the initial state; renderFn then also
+    // gets its dispatch
+    const state = isStore(initialState) ? initialState : DomKit.createState(initialState);
+
+    const update = () => {
+      const vnode = renderFn(state.getState(), state.setState.bind(state), state.dispatch);
+      DomKit.render(vnode, container);
+    };
+
+    // Subscribe to state changes
+    state.subscribe(update);
+
+    // Initial render
+    update();
+
+    return {
+      getState: state.getState,
+      setState: state.setState,
+      dispatch: state.dispatch,
+    };
+  };
+
+  // Simple component factory
+  const createComponent = (template) => {
+    return (props) => {
+      try {
+        return template(props);
+      } catch (error) {
+        // Let the enclosing ErrorBoundary handle it
+        if (currentInstance && findAncestor(currentInstance, ErrorBoundary)) throw error;
+        console.error("Component render error:", error);
+        return h("div", { className: "error" }, ["Component error"]);
+      }
+    };
+  };
+
+  // Updated inject function
+  const inject = (vnode, target, position = "replace") => {
+    // Handle string selectors
+    if (typeof target === "string") {
+      target = document.querySelector(target);
+    }
+
+    // Ensure we have a proper vnode (wrap component functions)
+    const nodeToInject = typeof vnode === "function" ? h(vnode) : vnode;
+
+    // Create DOM from vnode
+    const element = createDomElement(nodeToInject);
+
+    // Initialize injected tracking if needed
+    if (!target._injected) target._injected = [];
+    ensureEventDelegation(target);
+
+    // Perform the injection based on position
+    switch (position) {
+      case "append":
+        target.appendChild(element);
+        target._injected.push(nodeToInject); // Store at end
+        break;
+
+      case "prepend":
+        target.insertBefore(element, target.firstChild);
+        target._injected.unshift(nodeToInject); // Store at beginning
+        break;
+
+      case "replace":
+      default:
+        // Clear the target
+        while (target.firstChild) {
+          target.removeChild(target.firstChild);
+        }
+        target.appendChild(element);
+        target._injected = [nodeToInject]; // Replace all
+        break;
+    }
+
+    return element;
+  };
+
+  // Updated updateInjected function
+  const updateInjected = (vnode, target, index = 0) => {
+    // Handle string selectors
+    if (typeof target === "string") {
+      target = document.querySelector(target);
+    }
+
+    // Ensure we have a proper vnode
+    const newNode = typeof vnode === "function" ? h(vnode) : vnode;
+
+    if (!target._injected || !target._injected[index]) {
+      // If not previously injected, just inject it
+      return inject(newNode, target, "append");
+    }
+
+    // Get the old vdom
+    const oldNode = target._injected[index];
+
+    // At least validate if the new node is different
+    if (oldNode && !isNodeChanged(newNode, oldNode)) {
+      return target.children[index];  // No changes needed
+    }
+
+    // Get the corresponding DOM element
+    const domElement = target.children[index];
+
+    if (!domElement) {
+      return inject(newNode, target, "append");
+    }
+
+    // Create a temporary container for the new element
+    const tempContainer = document.createElement("div");
+    const newElement = createDomElement(newNode);
+    tempContainer.appendChild(newElement);
+
+    // Replace the old element with the new one
+    target.replaceChild(newElement, domElement);
+
+    // Update the stored vdom
+    target._injected[index] = newNode;
+
+    return newElement;
+  };
+
+  // State management system for DomKit
+  //
+  // setState/replaceState change the state right away, so getState() and
+  // functional updates always see the latest value. Listeners are notified
+  // once per frame through the scheduler, or immediately with { sync: true }.
+  // Both return a promise that resolves with the state once listeners ran.
+  const createState = (initialState = {}, options = {}) => {
+    let state = { ...initialState };
+    let pendingCallbacks = [];
+    const listeners = [];
+
+    const notify = () => {
+      const callbacks = pendingCallbacks;
+      pendingCallbacks = [];
+
+      listeners.slice().forEach((listener) => {
+        try {
+          listener(state);
+        } catch (error) {
+          console.error('State listener error:', error);
+        }
+      });
+      callbacks.forEach((callback) => callback(state));
+    };
+
+    const commit = (nextState, callback) =>
+      new Promise((resolve) => {
+        state = nextState;
+        pendingCallbacks.push((committed) => {
+          if (typeof callback === "function") {
+            try {
+              callback({ ...committed });
+            } catch (error) {
+              console.error('State callback error:', error);
+            }
+          }
+          resolve({ ...committed });
+        });
+
+        if (options.sync) {
+          notify();
+        } else {
+          scheduleUpdate(notify, notify);
+        }
+      });
+
+    const getState = () => ({ ...state });
+
+    // Merge an object, or the object returned by update(currentState)
+    const setState = (update, callback) => {
+      const newState = typeof update === "function" ? update(getState()) : update;
+      if (typeof newState !== "object" || newState === null) {
+        console.error("State must be an object");
+        return Promise.resolve(getState());
+      }
+      return commit({ ...state, ...newState }, callback);
+    };
+
+    const replaceState = (newState, callback) => {
+      if (typeof newState !== "object" || newState === null) {
+        console.error("State must be an object");
+        return Promise.resolve(getState());
+      }
+      return commit({ ...newState }, callback);
+    };
+
+    const subscribe = (listener) => {
+      listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        const index = listeners.indexOf(listener);
+        if (index > -1) listeners.splice(index, 1);
+      };
+    };
+
+    const cleanup = () => {
+      listeners.length = 0;
+    };
+
+    return {
+      getState,
+      setState,
+      replaceState,
+      subscribe,
+      cleanup, // Expose cleanup method
+    };
+  };
+
+  // Global store
+  //
+  // One state tree that changes only through dispatch(action). setState and
+  // replaceState dispatch built-in actions, so middleware and devtools see
+  // every transition. Listeners run synchronously, in subscription order.
+  const SET_STATE = 'domkit/setState';
+  const REPLACE_STATE = 'domkit/replaceState';
+  let devtoolsHook = null;
+
+  // Devtools can call DomKit.connectDevtools(hook) or define
+  // window.__DOMKIT_DEVTOOLS_HOOK__ before DomKit runs
+  const getDevtoolsHook = () =>
+    devtoolsHook ||
+    (typeof window !== 'undefined' && window.__DOMKIT_DEVTOOLS_HOOK__) ||
+    null;
+
+  const notifyDevtools = (method, payload) => {
+    const hook = getDevtoolsHook();
+    if (hook && typeof hook[method] === 'function') {
+      try {
+        hook[method](payload);
+      } catch (error) {
+        console.warn('Devtools hook error:', error);
+      }
+    }
+  };
+
+  const connectDevtools = (hook) => {
+    devtoolsHook = hook;
+    return () => {
+      if (devtoolsHook === hook) devtoolsHook = null;
+    };
+  };
+
+  const isStore = (value) =>
+    !!value && typeof value.dispatch === 'function' && typeof value.getState === 'function' &&
+    typeof value.select === 'function';
+
+  const createStore = (initialState = {}, options = {}) => {
+    const { reducer, middleware = [], name = 'store' } = options;
+    const listeners = [];
+    let state = initialState;
+    let reducing = false;
+
+    const getState = () => state;
+
+    const subscribe = (listener) => {
+      listeners.push(listener);
+
+      // Return unsubscribe function
+      return () => {
+        const index = listeners.indexOf(listener);
+        if (index > -1) listeners.splice(index, 1);
+      };
+    };
+
+    // listener(selected, previousSelected) runs only when the selected value changes
+    const select = (selector, listener, isEqual = Object.is) => {
+      let selected = selector(state);
+
+      return subscribe((nextState) => {
+        const nextSelected = selector(nextState);
+        if (isEqual(nextSelected, selected)) return;
+        const previousSelected = selected;
+        selected = nextSelected;
+        listener(nextSelected, previousSelected);
+      });
+    };
+
+    const reduce = (action) => {
+      if (action.type === SET_STATE) {
+        const partial = typeof action.payload === 'function' ? action.payload(state) : action.payload;
+        return { ...state, ...partial };
+      }
+      if (action.type === REPLACE_STATE) {
+        return action.payload;
+      }
+      if (!reducer) {
+        return state;
+      }
+
+      const nextState = reducer(state, action);
+      if (nextState === undefined) {
+        console.error(`Store "${name}": reducer returned undefined for action "${action.type}"`);
+        return state;
+      }
+      return nextState;
+    };
+
+    const baseDispatch = (action) => {
+      if (!action || typeof action.type !== 'string') {
+        console.error(`Store "${name}": actions must be objects with a string type`, action);
+        return action;
+      }
+      if (reducing) {
+        throw new Error(`Store "${name}": reducers may not dispatch actions`);
+      }
+
+      const previousState = state;
+      reducing = true;
+      try {
+        state = reduce(action);
+      } finally {
+        reducing = false;
+      }
+
+      if (state !== previousState) {
+        notifyDevtools('onTransition', { store, name, action, previousState, nextState: state });
+
+        listeners.slice().forEach((listener) => {
+          try {
+            listener(state, previousState, action);
+          } catch (error) {
+            console.error('Store listener error:', error);
+          }
+        });
+      }
+      return action;
+    };
+
+    const store = {
+      name,
+      getState,
+      subscribe,
+      select,
+      dispatch: baseDispatch,
+      setState: (partial) => store.dispatch({ type: SET_STATE, payload: partial }),
+      replaceState: (nextState) => store.dispatch({ type: REPLACE_STATE, payload: nextState }),
+    };
+
+    // Middleware: (store) => (next) => (action) => result, the first one outermost
+    const middlewareApi = {
+      getState,
+      dispatch: (action) => store.dispatch(action),
+      setState: (partial) => store.setState(partial),
+      replaceState: (nextState) => store.replaceState(nextState),
+    };
+    store.dispatch = middleware.reduceRight(
+      (next, createMiddleware) => createMiddleware(middlewareApi)(next),
+      baseDispatch
+    );
+
+    notifyDevtools('onStoreCreated', { store, name, state });
+    return store;
+  };
+
+  // Hooks for function components rendered through h()/createDomElement.
+  // Each hook takes the next slot of the instance that is rendering, so hooks
+  // must be called in the same order on every render.
+  const useComponentState = (initialValue) => {
+    const instance = getHookInstance('useState');
+    const index = instance.hookIndex++;
+
+    if (!instance.hooks[index]) {
+      const hook = {
+        value: typeof initialValue === "function" ? initialValue() : initialValue,
+      };
+      hook.setValue = (nextValue) => {
+        const value = typeof nextValue === "function" ? nextValue(hook.value) : nextValue;
+        if (Object.is(value, hook.value)) return;
+        hook.value = value;
+        scheduleComponentUpdate(instance);
+      };
+      instance.hooks[index] = hook;
+    }
+
+    const hook = instance.hooks[index];
+    return [hook.value, hook.setValue];
+  };
+
+  const useEffect = (effect, deps) => {
+    const instance = getHookInstance('useEffect');
+    const index = instance.hookIndex++;
+    const hook = instance.hooks[index] || (instance.hooks[index] = { deps: null, cleanup: null, ran: false });
+
+    if (hook.ran && deps && !depsChanged(hook.deps, deps)) return;
+    hook.ran = true;
+    hook.deps = deps;
+
+    instance.effects.push(() => {
+      if (instance.unmounted) return;
+      if (typeof hook.cleanup === "function") hook.cleanup();
+      const cleanup = effect();
+      hook.cleanup = typeof cleanup === "function" ? cleanup : null;
+    });
+  };
+
+  const useMemo = (factory, deps) => {
+    const instance = getHookInstance('useMemo');
+    const index = instance.hookIndex++;
+    const hook = instance.hooks[index];
+
+    if (hook && deps && !depsChanged(hook.deps, deps)) {
+      return hook.value;
+    }
+
+    instance.hooks[index] = { value: factory(), deps };
+    return instance.hooks[index].value;
+  };
+
+  const useRef = (initialValue) => {
+    getHookInstance('useRef');
+    return useMemo(() => ({ current: initialValue }), []);
+  };
+
+  // Read a slice of a store; the component re-renders only when it changes
+  const useStore = (store, selector = (state) => state, isEqual = Object.is) => {
+    getHookInstance('useStore');
+    const [, forceUpdate] = useComponentState(0);
+    const selectorRef = useRef(selector);
+    selectorRef.current = selector;
+
+    const selected = selector(store.getState());
+
+    useEffect(() => {
+      const unsubscribe = store.select(
+        (state) => selectorRef.current(state),
+        () => forceUpdate((count) => count + 1),
+        isEqual
+      );
+      // The store may have changed between this render and subscribing
+      if (!isEqual(selectorRef.current(store.getState()), selected)) {
+        forceUpdate((count) => count + 1);
+      }
+      return unsubscribe;
+    }, [store]);
+
+    return selected;
+  };
+
+  // Context
+  //
+  // A Provider makes its value available to every component below it, and
+  // useContext(context) reads the nearest one, or the context's default value.
+  // Consumers subscribe to their provider, so they re-render when the value
+  // changes even if nothing between the two re-renders.
+  const createContext = (defaultValue) => {
+    const context = { defaultValue };
+
+    context.Provider = ({ value, children }) => {
+      const instance = getHookInstance('Provider');
+      if (!instance.contextConsumers) {
+        instance.contextConsumers = new Set();
+      } else if (!Object.is(instance.contextValue, value)) {
+        instance.contextConsumers.forEach(scheduleComponentUpdate);
+      }
+      instance.contextValue = value;
+      return children;
+    };
+
+    // Render-prop alternative to useContext: h(Context.Consumer, {}, [value => vnode])
+    context.Consumer = ({ children }) => {
+      const renderValue = toChildArray(children)[0];
+      return typeof renderValue === "function" ? renderValue(useContext(context)) : null;
+    };
+
+    return context;
+  };
+
+  const useContext = (context) => {
+    const instance = getHookInstance('useContext');
+    const provider = findAncestor(instance, context.Provider);
+
+    useEffect(() => {
+      if (!provider) return;
+      provider.contextConsumers.add(instance);
+      return () => provider.contextConsumers.delete(instance);
+    }, [provider]);
+
+    return provider ? provider.contextValue : context.defaultValue;
+  };
+
+  // Shows fallback instead of its children while registered components used
+  // in them are loading, or while a component below it is suspended
+  const Suspense = ({ fallback = null, children }) => {
+    const instance = getHookInstance('Suspense');
+    if (!instance.suspended) instance.suspended = new Set();
+
+    // Loading starts once the boundary is in the document, never on the server
+    const missingNames = findComponentNames(children);
+    useEffect(() => {
+      if (missingNames.length > 0) {
+        suspendBoundary(instance, loadComponentsSettled(missingNames));
+      }
+    });
+
+    if (missingNames.length > 0 || instance.suspended.size > 0) {
+      return fallback;
+    }
+    return recreateVNodeWithComponents(children);
+  };
+
+  // Renders fallback(error, reset) instead of its children once a component
+  // below it has thrown while rendering; reset() renders the children again
+  const ErrorBoundary = ({ fallback, children }) => {
+    const instance = getHookInstance('ErrorBoundary');
+
+    if (!instance.caughtError) {
+      return children;
+    }
+
+    if (!instance.resetError) {
+      instance.resetError = () => {
+        if (!instance.caughtError) return;
+        instance.caughtError = null;
+        scheduleComponentUpdate(instance);
+      };
+    }
+
+    const { error } = instance.caughtError;
+    if (typeof fallback === 'function') {
+      return fallback(error, instance.resetError);
+    }
+    return fallback === undefined ? componentErrorVNode(error) : fallback;
+  };
+
+  // A component that renders the registered component name once it is
+  // loaded, suspending the nearest Suspense boundary until then
+  const lazyComponents = new Map();
+
+  const lazy = (name) => {
+    if (lazyComponents.has(name)) return lazyComponents.get(name);
+
+    const LazyComponent = ({ children, ...props }) => {
+      if (componentCache.has(name)) {
+        return h(componentCache.get(name), props, children);
+      }
+      if (failedComponents.has(name)) {
+        return componentFallbackVNode(name, props);
+      }
+      if (!componentRegistry.has(name)) {
+        console.error(`Lazy component "${name}" is not registered.`);
+        return componentErrorVNode(new Error(`Component "${name}" is not registered.`));
+      }
+      throw loadComponent(name);
+    };
+    LazyComponent._lazyComponentName = name;
+
+    lazyComponents.set(name, LazyComponent);
+    return LazyComponent;
+  };
+
+  // Transitions
+  //
+  // Transition and TransitionGroup mark the elements they render with
+  // element._transition, and removeMounted lets a marked element play its
+  // leave animation before taking it out of the DOM. Animations are CSS
+  // classes named after props.name (name-enter-from, name-enter-active,
+  // name-enter-to and the same for leave), or onEnter/onLeave hooks that can
+  // return a Web Animation. TransitionGroup also animates keyed children that
+  // moved, by measuring them before and after the update (FLIP).
+  const TRANSITION_NAME = 'domkit';
+  const TRANSITION_OPTIONS = ['name', 'duration', 'onEnter', 'onAfterEnter', 'onLeave', 'onAfterLeave'];
+
+  // Two frames, so styles applied before inserting an element get painted
+  const nextFrame = (callback) => requestFrame(() => requestFrame(callback));
+
+  // Longest transition or animation on the element, in ms
+  const getTransitionTimeout = (element) => {
+    if (typeof getComputedStyle !== 'function') return 0;
+    const style = getComputedStyle(element);
+    const toMs = (value) => (parseFloat(value) || 0) * (/ms\s*$/.test(value) ? 1 : 1000);
+    const longest = (durations, delays) => {
+      const delayList = (delays || '0s').split(',');
+      return Math.max(0, ...(durations || '0s').split(',').map((duration, i) =>
+        toMs(duration) + toMs(delayList[i % delayList.length])
+      ));
+    };
+
+    return Math.max(
+      longest(style.transitionDuration, style.transitionDelay),
+      longest(style.animationDuration, style.animationDelay)
+    );
+  };
+
+  const whenTransitionEnds = (element, duration, done) => {
+    const timeout = typeof duration === 'number' ? duration : getTransitionTimeout(element);
+    if (timeout > 0) {
+      setTimeout(done, timeout);
+    } else {
+      done();
+    }
+  };
+
+  // A hook finishes when it calls done, when the Web Animation or promise it
+  // returns settles, or right away if it doesn't take a done argument
+  const runTransitionHook = (hook, element, done) => {
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      done();
+    };
+
+    let result;
+    try {
+      result = hook(element, finish);
+    } catch (error) {
+      console.error('Transition hook error:', error);
+      finish();
+      return;
+    }
+
+    const promise = result && (result.finished || result);
+    if (promise && typeof promise.then === 'function') {
+      promise.then(finish, finish);
+    } else if (hook.length < 2) {
+      finish();
+    }
+  };
+
+  const runTransitionClasses = (element, phase, options, isCurrent, done) => {
+    const name = options.name || TRANSITION_NAME;
+    const from = `${name}-${phase}-from`;
+    const active = `${name}-${phase}-active`;
+    const to = `${name}-${phase}-to`;
+
+    element.classList.add(from, active);
+    void element.offsetHeight; // reflow so the from state takes effect
+
+    nextFrame(() => {
+      if (!isCurrent()) return;
+      element.classList.remove(from);
+      element.classList.add(to);
+      whenTransitionEnds(element, options.duration, () => {
+        if (!isCurrent()) return;
+        element.classList.remove(active, to);
+        done();
+      });
+    });
+  };
+
+  // Run the enter or leave phase; starting a phase cancels the one in progress
+  const runTransition = (element, phase, done) => {
+    const state = element._transition;
+    const { options } = state;
+    const token = {};
+    const isCurrent = () => state.token === token;
+    state.token = token;
+
+    const name = options.name || TRANSITION_NAME;
+    ['enter', 'leave'].forEach((other) => {
+      element.classList.remove(`${name}-${other}-from`, `${name}-${other}-active`, `${name}-${other}-to`);
+    });
+
+    const hook = phase === 'enter' ? options.onEnter : options.onLeave;
+    const after = phase === 'enter' ? options.onAfterEnter : options.onAfterLeave;
+    const finish = () => {
+      if (!isCurrent()) return;
+      if (typeof after === 'function') after(element);
+      done();
+    };
+
+    if (typeof hook === 'function') {
+      runTransitionHook(hook, element, finish);
+    } else {
+      runTransitionClasses(element, phase, options, isCurrent, finish);
+    }
+  };
+
+  // Used by removeMounted instead of removeChild for transition elements
+  const leaveElement = (element) => {
+    element._transition.leaving = true;
+    runTransition(element, 'leave', () => {
+      if (element.parentNode) element.parentNode.removeChild(element);
+    });
+  };
+
+  // Mark an element vnode through its ref; shouldEnter() decides whether a
+  // newly created element plays the enter animation
+  const withTransition = (child, options, shouldEnter, onElement) => {
+    if (!child || typeof child !== 'object' || typeof child.tag !== 'string') {
+      console.warn('DomKit: Transition children must be elements');
+      return child;
+    }
+
+    const userRef = child.props && child.props.ref;
+    const ref = (element) => {
+      if (!element._transition) {
+        element._transition = { options, token: null, leaving: false };
+        // After the commit, once the element has its props and children
+        if (shouldEnter()) queueLifecycle(runTransition, element, 'enter', () => {});
+      }
+      element._transition.options = options;
+      if (onElement) onElement(element);
+      if (typeof userRef === 'function') userRef(element);
+    };
+
+    return { ...child, props: { ...child.props, ref } };
+  };
+
+  const pickTransitionOptions = (props) => {
+    const options = {};
+    const rest = {};
+    Object.keys(props).forEach((key) => {
+      if (TRANSITION_OPTIONS.includes(key)) {
+        options[key] = props[key];
+      } else {
+        rest[key] = props[key];
+      }
+    });
+    return [options, rest];
+  };
+
+  // Animates its single element child in and out as `show` changes. The
+  // first render only animates with `appear`.
+  const Transition = ({ show = true, appear = false, children, ...props }) => {
+    getHookInstance('Transition');
+    const [options] = pickTransitionOptions(props);
+    const mountedRef = useRef(false);
+
+    useEffect(() => {
+      mountedRef.current = true;
+    }, []);
+
+    if (!show) return null;
+
+    const child = toChildArray(children).map(normalizeVNode).find((node) => node && typeof node === 'object');
+    return child ? withTransition(child, options, () => appear || mountedRef.current) : null;
+  };
+
+  // Animates keyed children entering, leaving and moving. Renders them inside
+  // `tag` (with the remaining props) or, without one, as a fragment.
+  const TransitionGroup = ({ tag, appear = false, moveDuration, moveEasing = 'ease', onMove, children, ...props }) => {
+    getHookInstance('TransitionGroup');
+    const [options, elementProps] = pickTransitionOptions(props);
+    const mountedRef = useRef(false);
+    const elements = useRef(new Map()).current; // key -> element
+
+    // FLIP "first": where the children are before this render is committed
+    const positions = new Map();
+    elements.forEach((element, key) => {
+      if (element.isConnected && !element._transition.leaving) {
+        positions.set(key, element.getBoundingClientRect());
+      } else {
+        elements.delete(key);
+      }
+    });
+
+    // "Last", "invert" and "play" once the DOM has been updated
+    useEffect(() => {
+      mountedRef.current = true;
+
+      positions.forEach((first, key) => {
+        const element = elements.get(key);
+        if (!element || !element.isConnected || element._transition.leaving) return;
+
+        const last = element.getBoundingClientRect();
+        const x = first.left - last.left;
+        const y = first.top - last.top;
+        if (!x && !y) return;
+
+        if (typeof onMove === 'function') {
+          onMove(element, { x, y });
+        } else if (moveDuration && typeof element.animate === 'function') {
+          element.animate(
+            [{ transform: `translate(${x}px, ${y}px)` }, { transform: 'none' }],
+            { duration: moveDuration, easing: moveEasing }
+          );
+        } else {
+          // The name-move class should define a transition on transform
+          const moveClass = `${options.name || TRANSITION_NAME}-move`;
+          element.style.transform = `translate(${x}px, ${y}px)`;
+          element.style.transitionDuration = '0s';
+          void element.offsetHeight;
+          element.classList.add(moveClass);
+          element.style.transform = '';
+          element.style.transitionDuration = '';
+          whenTransitionEnds(element, undefined, () => element.classList.remove(moveClass));
+        }
+      });
+    });
+
+    const content = toChildArray(children).map(normalizeVNode).map((child) => {
+      const key = getKey(child);
+      if (key === undefined || key === null) {
+        console.warn('DomKit: TransitionGroup children need a key');
+        return child;
+      }
+      return withTransition(
+        child,
+        options,
+        () => appear || mountedRef.current,
+        (element) => elements.set(key, element)
+      );
+    });
+
+    return tag ? h(tag, elementProps, content) : h(Fragment, {}, content);
+  };
+
+  // Resources
+  //
+  // createResource(fetcher) caches what fetcher(...args, { signal }) resolves
+  // to, keyed by the arguments. Reads of the same arguments share one request,
+  // data older than staleTime is shown while it is fetched again in the
+  // background, and a request is aborted when the component that needed it
+  // asks for other arguments instead and nobody else is waiting for it.
+  // read() suspends the nearest Suspense boundary while loading and throws
+  // the error to the nearest ErrorBoundary; useResource() returns the state.
+  const createResource = (fetcher, options = {}) => {
+    const {
+      staleTime = 0,
+      key: getCacheKey = (...args) => JSON.stringify(args),
+    } = options;
+    const cache = new Map();
+
+    const notify = (entry, priority) => {
+      withPriority(priority, () => entry.subscribers.forEach(scheduleComponentUpdate));
+    };
+
+    // entry.promise never rejects, so boundaries waiting on it always resume
+    const startFetch = (entry) => {
+      const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+      const revalidating = entry.status === "success";
+      entry.controller = controller;
+      entry.revalidating = revalidating;
+      entry.errorShown = false;
+      if (!revalidating) entry.status = "pending";
+
+      const isCurrent = () => entry.controller === controller;
+
+      entry.promise = Promise.resolve()
+        .then(() => {
+          // Aborted before it started
+          if (!isCurrent()) return undefined;
+          return fetcher(...entry.args, { signal: controller ? controller.signal : undefined });
+        })
+        .then((data) => {
+          if (!isCurrent()) return;
+          Object.assign(entry, {
+            status: "success", data, error: null, updatedAt: Date.now(),
+            controller: null, revalidating: false,
+            // Suspense boundaries remount the readers that waited for it in
+            // the next flush, where the data counts as fresh
+            freshFlush: flushCount + 1,
+          });
+          // That flush runs even if nothing else is scheduled, so later
+          // readers see the data go stale
+          requestFlush();
+          notify(entry, revalidating ? "background" : undefined);
+        }, (error) => {
+          if (!isCurrent()) return;
+          entry.controller = null;
+          entry.revalidating = false;
+
+          // A failed background refresh keeps showing the cached data
+          if (revalidating) {
+            console.warn("Resource revalidation failed:", error);
+          } else {
+            entry.status = "error";
+            entry.error = error;
+          }
+          notify(entry, revalidating ? "background" : undefined);
+        });
+
+      return entry.promise;
+    };
+
+    const getEntry = (args) => {
+      const cacheKey = getCacheKey(...args);
+      let entry = cache.get(cacheKey);
+
+      if (!entry) {
+        entry = {
+          key: cacheKey, args, status: "pending", data: undefined, error: null,
+          updatedAt: 0, subscribers: new Set(), controller: null, promise: null,
+          revalidating: false, errorShown: false, freshFlush: 0,
+        };
+        cache.set(cacheKey, entry);
+        startFetch(entry);
+      }
+      return entry;
+    };
+
+    const isStale = (entry) =>
+      entry.status === "success" && !(activeFlush && entry.freshFlush === activeFlush) &&
+      Date.now() - entry.updatedAt >= staleTime;
+
+    const revalidate = (entry) => (entry.controller ? entry.promise : startFetch(entry));
+
+    const abort = (entry) => {
+      if (!entry.controller) return;
+      entry.controller.abort();
+      entry.controller = null;
+      entry.revalidating = false;
+
+      // Nothing was loaded yet, so there is nothing worth keeping
+      if (entry.status === "pending" && cache.get(entry.key) === entry) {
+        cache.delete(entry.key);
+      }
+    };
+
+    // A component switching to other arguments no longer needs its request
+    const release = (entry, instance) => {
+      entry.subscribers.delete(instance);
+      if (entry.subscribers.size === 0) abort(entry);
+    };
+
+    // Subscribe the rendering component to the entry for args, like a hook
+    const useEntry = (hookName, args) => {
+      const instance = getHookInstance(hookName);
+      const index = instance.hookIndex++;
+      const slot = instance.hooks[index] || (instance.hooks[index] = { entry: null });
+      const entry = getEntry(args);
+
+      if (slot.entry !== entry) {
+        const previous = slot.entry;
+        slot.entry = entry;
+        entry.subscribers.add(instance);
+        if (previous) release(previous, instance);
+
+        // A new reader refreshes stale data, and retries a failed request
+        // once its error has been shown (e.g. after an ErrorBoundary reset)
+        if (isStale(entry) || (entry.status === "error" && entry.errorShown)) {
+          revalidate(entry);
+        }
+
+        // Unmounting only unsubscribes: a boundary showing its fallback
+        // unmounts the reader, and the request must still finish
+        slot.cleanup = () => slot.entry && slot.entry.subscribers.delete(instance);
+      }
+      return entry;
+    };
+
+    const read = (...args) => {
+      const entry = currentInstance ? useEntry("resource.read", args) : getEntry(args);
+      if (entry.status === "success") return entry.data;
+      if (entry.status === "error") {
+        entry.errorShown = true;
+        throw entry.error;
+      }
+      throw entry.promise;
+    };
+
+    const entryFor = (args) => cache.get(getCacheKey(...args));
+
+    return {
+      read,
+      preload: (...args) => getEntry(args).promise.then(() => entryFor(args) && entryFor(args).data),
+      refetch: (...args) => {
+        const entry = getEntry(args);
+        return revalidate(entry).then(() => entry.data);
+      },
+      // Mark cached data stale, for one set of arguments or all of them
+      invalidate: (...args) => {
+        const entries = args.length > 0 ? [entryFor(args)] : Array.from(cache.values());
+        entries.forEach((entry) => {
+          if (entry) Object.assign(entry, { updatedAt: 0, freshFlush: 0 });
+        });
+      },
+      clear: () => {
+        cache.forEach(abort);
+        cache.clear();
+      },
+      _use: (args) => {
+        const entry = useEntry("useResource", args);
+        if (entry.status === "error") entry.errorShown = true;
+        return {
+          data: entry.data,
+          error: entry.status === "error" ? entry.error : null,
+          loading: entry.status === "pending",
+          refreshing: entry.revalidating,
+          refetch: () => revalidate(entry),
+        };
+      },
+    };
+  };
+
+  // { data, error, loading, refreshing, refetch } for resource(...args),
+  // without suspending
+  const useResource = (resource, ...args) => resource._use(args);
+
+  // Router
+  //
+  // Maps the URL to the chain of routes it matches (parent layouts first) and
+  // renders it into a container with render(), using the History API or the
+  // URL hash. Layouts receive the matched child route as their children.
+  const RouterContext = createContext(null);
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  // Child paths are relative to their parent unless they start with '/'
+  const joinRoutePaths = (parentPath, path) =>
+    path.startsWith("/") ? path : `${parentPath.replace(/\/$/, "")}/${path}`;
+
+  // '/users/:id/*' matches '/users/7/files/a.txt' with { id: '7', '*': 'files/a.txt' }
+  const compileRoutePath = (path) => {
+    const keys = [];
+    const source = path
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => {
+        if (segment === "*") {
+          keys.push("*");
+          return "(?:/(.*))?";
+        }
+        if (segment.startsWith(":")) {
+          keys.push(segment.slice(1));
+          return "/([^/]+)";
+        }
+        return `/${escapeRegExp(segment)}`;
+      })
+      .join("");
+
+    return { keys, regexp: new RegExp(`^${source}/?$`) };
+  };
+
+  // Nested routes are flattened into records holding the whole chain; a
+  // parent's children are tried before the parent itself
+  const flattenRoutes = (routes, parentPath = "/", parents = []) =>
+    routes.reduce((records, route) => {
+      const path = joinRoutePaths(parentPath, route.path || "");
+      const chain = [...parents, route];
+
+      if (Array.isArray(route.children)) {
+        records.push(...flattenRoutes(route.children, path, chain));
+      }
+      records.push({ path, chain, ...compileRoutePath(path) });
+      return records;
+    }, []);
+
+  const parseRouteLocation = (location) => {
+    const [pathAndQuery, hash = ""] = location.split("#");
+    const [path, search = ""] = pathAndQuery.split("?");
+    const query = {};
+    new URLSearchParams(search).forEach((value, key) => {
+      query[key] = value;
+    });
+    return { path: path || "/", query, hash };
+  };
+
+  const createRouter = (options = {}) => {
+    const {
+      routes = [],
+      mode = "history",
+      base = "",
+      beforeEach,
+      afterEach,
+      scrollRestoration = true,
+    } = options;
+    let container = options.container || null;
+
+    // Route components given by name are loaded when the route is entered
+    const registerRouteComponents = (routeList) => {
+      routeList.forEach((route) => {
+        if (typeof route.component === "string" && route.componentPath) {
+          registerComponent(route.component, route.componentPath);
+        }
+        if (Array.isArray(route.children)) registerRouteComponents(route.children);
+      });
+    };
+    registerRouteComponents(routes);
+
+    const records = flattenRoutes(routes);
+    const scrollPositions = new Map();
+    let current = null;
+    let navigationId = 0;
+    let entryKey = null;
+    let entryIndex = null;
+    // Index of the entry history.go() is taking us back to after a cancelled
+    // back/forward, whose popstate is not a navigation
+    let restoringIndex = null;
+    let started = false;
+
+    const match = (location) => {
+      const { path, query, hash } = parseRouteLocation(location);
+
+      for (const record of records) {
+        const result = record.regexp.exec(path);
+        if (!result) continue;
+
+        const params = {};
+        record.keys.forEach((key, i) => {
+          params[key] = result[i + 1] === undefined ? "" : decodeURIComponent(result[i + 1]);
+        });
+        return { path, fullPath: location, query, hash, params, matched: record.chain };
+      }
+      return null;
+    };
+
+    const readLocation = () => {
+      if (mode === "hash") {
+        return window.location.hash.slice(1) || "/";
+      }
+      const pathname = window.location.pathname;
+      const path = base && pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+      return `${path || "/"}${window.location.search}`;
+    };
+
+    const href = (to) => (mode === "hash" ? `#${to}` : `${base}${to}`);
+
+    // Each history entry gets a key so its scroll position can be restored
+    const createEntryKey = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const readEntryKey = () => (window.history.state && window.history.state.domkitKey) || window.location.href;
+
+    // Entries also store their position in the history, so a cancelled
+    // back/forward can be undone with history.go()
+    const readEntryIndex = () => {
+      const state = window.history.state;
+      return state && typeof state.domkitIndex === "number" ? state.domkitIndex : null;
+    };
+
+    const writeLocation = (location, replace) => {
+      const state = replace
+        ? { domkitKey: readEntryKey(), domkitIndex: readEntryIndex() }
+        : { domkitKey: createEntryKey(), domkitIndex: entryIndex === null ? null : entryIndex + 1 };
+      window.history[replace ? "replaceState" : "pushState"](state, "", href(location));
+    };
+
+    // Back/forward already changed the URL; go back to the entry we were on,
+    // or put its URL back when the entries' positions are unknown
+    const undoTraversal = (from) => {
+      const index = readEntryIndex();
+      if (index !== null && entryIndex !== null && index !== entryIndex) {
+        restoringIndex = entryIndex;
+        window.history.go(entryIndex - index);
+      } else {
+        writeLocation(from.fullPath, true);
+      }
+    };
+
+    const saveScrollPosition = () => {
+      if (scrollRestoration && entryKey) {
+        scrollPositions.set(entryKey, { x: window.scrollX || 0, y: window.scrollY || 0 });
+      }
+    };
+
+    // Back/forward restore the entry's position, new pages start at the top
+    const restoreScrollPosition = (action) => {
+      if (!scrollRestoration || action === "initial") return;
+      const position = action === "pop" ? scrollPositions.get(entryKey) : null;
       try {
-        return template(props);
+        window.scrollTo(position ? position.x : 0, position ? position.y : 0);
       } catch (error) {
-        console.error("Component render error:", error);
-        return h("div", { className: "error" }, ["Component error"]);
+        console.warn("Scroll restoration failed:", error);
       }
     };
-  };
-
-  // Updated inject function
-  const inject = (vnode, target, position = "replace") => {
-    // Handle string selectors
-    if (typeof target === "string") {
-      target = document.querySelector(target);
-    }
 
-    // Ensure we have a proper vnode (wrap component functions)
-    const nodeToInject = typeof vnode === "function" ? h(vnode) : vnode;
+    // Layouts wrap the matched child route, outermost first
+    const renderRoute = (route) => {
+      const content = route.matched.reduceRight((child, record) => {
+        const props = { ...record.props, params: route.params, query: route.query, route };
+        return h(record.component, props, child === null ? [] : [child]);
+      }, null);
 
-    // Create DOM from vnode
-    const element = createDomElement(nodeToInject);
+      return h(RouterContext.Provider, { value: { router, route } }, [content]);
+    };
 
-    // Initialize injected tracking if needed
-    if (!target._injected) target._injected = [];
+    // action: 'push', 'replace', 'pop' (back/forward) or 'initial'
+    const transition = async (location, action, redirects = 0) => {
+      const id = ++navigationId;
+      const from = current;
+      const to = match(location);
 
-    // Perform the injection based on position
-    switch (position) {
-      case "append":
-        target.appendChild(element);
-        target._injected.push(nodeToInject); // Store at end
-        break;
+      if (!to) {
+        console.warn(`No route matches "${location}"`);
+        return false;
+      }
 
-      case "prepend":
-        target.insertBefore(element, target.firstChild);
-        target._injected.unshift(nodeToInject); // Store at beginning
-        break;
+      // Guards return false to cancel, or a location to redirect to
+      const guards = [beforeEach, ...to.matched.map((route) => route.beforeEnter)]
+        .filter((guard) => typeof guard === "function");
 
-      case "replace":
-      default:
-        // Clear the target
-        while (target.firstChild) {
-          target.removeChild(target.firstChild);
+      for (const guard of guards) {
+        let result;
+        try {
+          result = await guard(to, from);
+        } catch (error) {
+          console.error("Navigation guard error:", error);
+          result = false;
         }
-        target.appendChild(element);
-        target._injected = [nodeToInject]; // Replace all
-        break;
-    }
-
-    return element;
-  };
-
-  // Updated updateInjected function
-  const updateInjected = (vnode, target, index = 0) => {
-    // Handle string selectors
-    if (typeof target === "string") {
-      target = document.querySelector(target);
-    }
 
-    // Ensure we have a proper vnode
-    const newNode = typeof vnode === "function" ? h(vnode) : vnode;
+        if (id !== navigationId) return false;
 
-    if (!target._injected || !target._injected[index]) {
-      // If not previously injected, just inject it
-      return inject(newNode, target, "append");
-    }
+        if (result === false) {
+          if (action === "pop" && from) undoTraversal(from);
+          return false;
+        }
 
-    // Get the old vdom
-    const oldNode = target._injected[index];
+        if (typeof result === "string") {
+          if (redirects >= 10) {
+            console.error(`Too many redirects navigating to "${location}"`);
+            return false;
+          }
+          return transition(result, action === "push" ? "push" : "replace", redirects + 1);
+        }
+      }
 
-    // At least validate if the new node is different
-    if (oldNode && !isNodeChanged(newNode, oldNode)) {
-      return target.children[index];  // No changes needed
-    }
+      // Lazily loaded route components; one that fails renders its fallback
+      const names = to.matched
+        .map((route) => route.component)
+        .filter((component) => typeof component === "string" && needsLoading(component));
+      await loadComponentsSettled(names);
 
-    // Get the corresponding DOM element
-    const domElement = target.children[index];
+      if (id !== navigationId) return false;
 
-    if (!domElement) {
-      return inject(newNode, target, "append");
-    }
+      saveScrollPosition();
+      if (action === "push" || action === "replace") {
+        writeLocation(to.fullPath, action === "replace");
+      }
+      entryKey = readEntryKey();
+      entryIndex = readEntryIndex();
+      current = to;
 
-    // Create a temporary container for the new element
-    const tempContainer = document.createElement("div");
-    const newElement = createDomElement(newNode);
-    tempContainer.appendChild(newElement);
+      await render(renderRoute(to), container);
+      restoreScrollPosition(action);
 
-    // Replace the old element with the new one
-    target.replaceChild(newElement, domElement);
+      if (typeof afterEach === "function") {
+        afterEach(to, from);
+      }
+      return true;
+    };
 
-    // Update the stored vdom
-    target._injected[index] = newNode;
+    // Nothing waits for these navigations, so their errors are reported here
+    const popTo = (location) =>
+      transition(location, "pop").catch((error) => {
+        console.error("Navigation failed:", error);
+        return false;
+      });
 
-    return newElement;
-  };
+    const isRestoring = () => {
+      if (restoringIndex === null) return false;
+      const restored = readEntryIndex() === restoringIndex;
+      restoringIndex = null;
+      return restored;
+    };
 
-  // State management system for DomKit
-  const createState = (initialState = {}) => {
-    let updateQueue = [];
-    let state = { ...initialState };
-    const listeners = [];
+    const onPopState = () => {
+      if (!isRestoring()) popTo(readLocation());
+    };
 
-    const processQueue = () => {
-      if (updateQueue.length > 0) {
-        state = { ...state, ...Object.assign({}, ...updateQueue) };
-        updateQueue = [];
-        listeners.forEach((listener) => listener(state));
+    // Manual hash edits; hashes written by navigate() are already current
+    const onHashChange = () => {
+      if (isRestoring()) return;
+      if (!current || readLocation() !== current.fullPath) {
+        popTo(readLocation());
       }
     };
 
-    const debouncedSetState = (newState) => {
-      updateQueue.push(newState);
-      requestAnimationFrame(processQueue);
+    const router = {
+      get current() {
+        return current;
+      },
+      href,
+      match,
+      navigate: (to, navigateOptions = {}) =>
+        transition(to, navigateOptions.replace ? "replace" : "push"),
+      back: () => window.history.back(),
+      forward: () => window.history.forward(),
+      start(target) {
+        if (target) container = target;
+        if (typeof container === "string") container = document.querySelector(container);
+        if (!container) {
+          console.error("Router start failed: no container provided");
+          return Promise.resolve(false);
+        }
+
+        if (!started) {
+          started = true;
+          if (scrollRestoration && "scrollRestoration" in window.history) {
+            window.history.scrollRestoration = "manual";
+          }
+          window.addEventListener(mode === "hash" ? "hashchange" : "popstate",
+            mode === "hash" ? onHashChange : onPopState);
+
+          if (!window.history.state || !window.history.state.domkitKey) {
+            window.history.replaceState(
+              { ...window.history.state, domkitKey: createEntryKey(), domkitIndex: 0 }, "");
+          }
+        }
+        return transition(readLocation(), "initial");
+      },
+      stop() {
+        if (!started) return;
+        started = false;
+        window.removeEventListener(mode === "hash" ? "hashchange" : "popstate",
+          mode === "hash" ? onHashChange : onPopState);
+      },
     };
 
-    const getState = () => ({ ...state });
+    return router;
+  };
 
-    const setState = (newState) => {
-      if (typeof newState !== "object" || newState === null) {
-        console.error("State must be an object");
-        return;
-      }
-      // Merge the new state with the existing state
-      state = { ...state, ...newState };
+  const useRouter = () => {
+    const context = useContext(RouterContext);
+    return context ? context.router : null;
+  };
 
-      // Notify all listeners
-      listeners.forEach((listener) => listener(state));
-    };
+  const useRoute = () => {
+    const context = useContext(RouterContext);
+    return context ? context.route : null;
+  };
 
-    const subscribe = (listener) => {
-      listeners.push(listener);
+  // <a> that navigates with the router; modified clicks (new tab etc.) are
+  // left to the browser
+  const Link = ({ to, replace = false, exact = false, activeClassName = "active", className, onClick, children, ...rest }) => {
+    const context = useContext(RouterContext);
+    if (!context) {
+      console.error("DomKit.Link must be rendered inside a router");
+      return h("a", { ...rest, className, href: to }, children);
+    }
 
-      // Return unsubscribe function
-      return () => {
-        const index = listeners.indexOf(listener);
-        if (index > -1) listeners.splice(index, 1);
-      };
-    };
+    const { router, route } = context;
+    const targetPath = parseRouteLocation(to).path.replace(/(.)\/$/, "$1");
+    const active = !!route && (route.path === targetPath ||
+      (!exact && targetPath !== "/" && route.path.startsWith(`${targetPath}/`)));
 
-    const cleanup = () => {
-      listeners.length = 0;
+    const handleClick = (event) => {
+      if (typeof onClick === "function") onClick(event);
+      if (event.defaultPrevented || event.button !== 0 || rest.target ||
+          event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+      }
+      event.preventDefault();
+      router.navigate(to, { replace });
     };
 
-    return {
-      getState,
-      setState: debouncedSetState,
-      subscribe,
-      cleanup, // Expose cleanup method
-    };
+    return h("a", {
+      ...rest,
+      href: router.href(to),
+      className: [className, active && activeClassName].filter(Boolean).join(" ") || undefined,
+      "aria-current": active ? "page" : undefined,
+      onClick: handleClick,
+    }, children);
   };
 
   // Component with state hook
   const createStatefulComponent = (renderFn, initialState = {}) => {
     const stateManager = createState(initialState);
+    const instanceStores = new Set();
+    const listeners = new Set();
     let lastRenderedNode = null;
 
+    const notifyListeners = (state) => {
+      listeners.forEach((listener) => {
+        try {
+          listener(state);
+        } catch (error) {
+          console.error('State listener error:', error);
+        }
+      });
+    };
+    stateManager.subscribe(notifyListeners);
+
     const component = (props) => {
-      const { getState, setState } = stateManager; // subscribe removed 
+      let store = stateManager;
+
+      // Each rendered instance gets its own store, starting from the shared
+      // state, and re-renders itself when it changes; the shared store is
+      // used when called outside a render
+      if (currentInstance) {
+        const [, forceUpdate] = useComponentState(0);
+        const storeRef = useRef(null);
+        if (!storeRef.current) {
+          storeRef.current = createState(stateManager.getState());
+          storeRef.current.forceUpdate = () => forceUpdate((count) => count + 1);
+        }
+        store = storeRef.current;
+        useEffect(() => {
+          instanceStores.add(store);
+          const unsubscribe = store.subscribe((state) => {
+            store.forceUpdate();
+            notifyListeners(state);
+          });
+          return () => {
+            unsubscribe();
+            instanceStores.delete(store);
+          };
+        }, []);
+      }
+
+      const { getState, setState } = store;
 
       // Provide state management capabilities to the render function
       const result = renderFn({
@@ -919,11 +3843,22 @@ const DomKit = (function () {
       return result;
     };
 
-    // Attach state management to the component
-    component.getState = stateManager.getState;
-    component.setState = stateManager.setState;
-    component.subscribe = stateManager.subscribe;
+    // The statics act on every rendered instance, and on the shared state
+    // that instances rendered later start from
+    component.getState = () => {
+      const [first] = instanceStores;
+      return (first || stateManager).getState();
+    };
+    component.setState = (update, callback) => {
+      instanceStores.forEach((store) => store.setState(update));
+      return stateManager.setState(update, callback);
+    };
+    component.subscribe = (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    };
     component.forceUpdate = (container) => {
+      instanceStores.forEach((store) => store.forceUpdate());
       if (container && lastRenderedNode) {
         DomKit.render(lastRenderedNode, container);
       }
@@ -932,12 +3867,16 @@ const DomKit = (function () {
     return component;
   };
 
-  // Helper for managing component with automatic re-rendering
+  // Per-instance state when called inside a function component; otherwise the
+  // helper for managing an app with automatic re-rendering
   const useState = (initialState, renderFn, container) => {
+    if (currentInstance || typeof renderFn !== "function") {
+      return useComponentState(initialState);
+    }
+
     const state = createState(initialState);
     let currentVNode = null;
 
-    // Initial render
     const render = () => {
       currentVNode = renderFn(state.getState(), state.setState);
       DomKit.render(currentVNode, container);
@@ -946,8 +3885,8 @@ const DomKit = (function () {
     // Subscribe to state changes
     state.subscribe(render);
 
-    // Initial render
-    render();
+    // Initial render, scheduled like every later one
+    scheduleUpdate(render, render);
 
     return state;
   };
@@ -994,6 +3933,431 @@ const DomKit = (function () {
     return vnode;
   };
 
+  // Forms
+  //
+  // createForm(schema, options) keeps a form's values, errors and touched
+  // fields in a createState store. form.bind(name, props) returns the props
+  // that bind an input, select or textarea to one field, and tracks the
+  // element through ref so a failed submit can focus the first invalid field.
+  const forms = new WeakSet();
+
+  const isPlainObject = (value) => Object.prototype.toString.call(value) === "[object Object]";
+
+  const fieldValuesEqual = (a, b) =>
+    Array.isArray(a) && Array.isArray(b)
+      ? a.length === b.length && a.every((item, index) => Object.is(item, b[index]))
+      : Object.is(a, b);
+
+  // Copy of object with key set, or removed when value is empty
+  const withField = (object, key, value) => {
+    const next = { ...object };
+    if (value) {
+      next[key] = value;
+    } else {
+      delete next[key];
+    }
+    return next;
+  };
+
+  // The value an element's field should take after an input or change event
+  const readFieldValue = (element, current) => {
+    const type = (element.type || "").toLowerCase();
+
+    if (type === "checkbox") {
+      // A group of checkboxes sharing a name edits an array of their values
+      if (Array.isArray(current)) {
+        const rest = current.filter((value) => value !== element.value);
+        return element.checked ? rest.concat(element.value) : rest;
+      }
+      return element.checked;
+    }
+    if (type === "radio") return element.checked ? element.value : current;
+    if (element.nodeName === "SELECT" && element.multiple) {
+      return Array.prototype.filter
+        .call(element.options, (option) => option.selected)
+        .map((option) => option.value);
+    }
+    if (type === "file") return element.files;
+    if ((type === "number" || type === "range") && element.value !== "") {
+      return Number(element.value);
+    }
+    return element.value;
+  };
+
+  // Run validators in order until one returns a message; async validators
+  // make the rest of the chain async
+  const runValidators = (validators, index, value, values) => {
+    for (let i = index; i < validators.length; i++) {
+      const message = validators[i](value, values);
+      if (message && typeof message.then === "function") {
+        return message.then((result) => result || runValidators(validators, i + 1, value, values));
+      }
+      if (message) return message;
+    }
+    return null;
+  };
+
+  const createForm = (schema = {}, options = {}) => {
+    const { onSubmit, validate: validateForm, validateOn = "blur" } = options;
+    const fields = {};
+    const initialValues = {};
+
+    // Each field is { initial, validate } or just its initial value
+    Object.keys(schema).forEach((name) => {
+      const config = isPlainObject(schema[name]) ? schema[name] : { initial: schema[name] };
+      fields[name] = { validators: config.validate ? [].concat(config.validate) : [] };
+      initialValues[name] = config.initial !== undefined ? config.initial : "";
+    });
+    const names = Object.keys(fields);
+
+    const state = createState({
+      values: { ...initialValues },
+      initialValues,
+      errors: {},
+      touched: {},
+      validating: {},
+      submitting: false,
+      submitCount: 0,
+      submitError: null,
+    });
+    const elements = new Map();
+    const validations = {};
+    let generation = 0; // bumped by reset(), so pending validations are ignored
+
+    // Field validators, then the field's entry in options.validate(values)
+    const validatorsFor = (name) => {
+      const validators = fields[name] ? fields[name].validators : [];
+      if (typeof validateForm !== "function") return validators;
+
+      return validators.concat((value, values) => {
+        const errors = validateForm(values);
+        return errors && typeof errors.then === "function"
+          ? errors.then((result) => result && result[name])
+          : errors && errors[name];
+      });
+    };
+
+    // Resolves to whether the field is valid. Results of a validation that
+    // was started again in the meantime are dropped.
+    const validateField = (name) => {
+      const { values } = state.getState();
+      const validation = { generation };
+      validations[name] = validation;
+
+      const apply = (message) => {
+        // The form was reset since: the result no longer means anything
+        if (validation.generation !== generation) return true;
+        if (validations[name] !== validation) return validations[name].promise;
+        state.setState((current) => ({
+          errors: withField(current.errors, name, message),
+          validating: withField(current.validating, name, false),
+        }));
+        return !message;
+      };
+      const toMessage = (error) => (error && error.message) || String(error);
+
+      let message;
+      try {
+        message = runValidators(validatorsFor(name), 0, values[name], values);
+      } catch (error) {
+        message = toMessage(error);
+      }
+
+      if (message && typeof message.then === "function") {
+        state.setState((current) => ({ validating: withField(current.validating, name, true) }));
+        validation.promise = message.then(apply, (error) => apply(toMessage(error)));
+      } else {
+        validation.promise = Promise.resolve(apply(message));
+      }
+      return validation.promise;
+    };
+
+    const validate = (name) => {
+      if (name !== undefined) return validateField(name);
+      return Promise.all(names.map(validateField)).then((results) => results.every(Boolean));
+    };
+
+    const setValue = (name, value) => {
+      const current = state.getState();
+      if (fieldValuesEqual(current.values[name], value)) return;
+
+      state.setState({ values: { ...current.values, [name]: value } });
+      if (
+        validateOn === "input" ||
+        (validateOn === "blur" && (current.touched[name] || current.submitCount > 0))
+      ) {
+        validateField(name);
+      }
+    };
+
+    const touch = (name) => {
+      state.setState((current) => ({ touched: { ...current.touched, [name]: true } }));
+      if (validateOn !== "submit") validateField(name);
+    };
+
+    const setError = (name, message) => {
+      state.setState((current) => ({ errors: withField(current.errors, name, message) }));
+    };
+
+    const focusFirstError = () => {
+      const { errors } = state.getState();
+      const name = names.find((field) => {
+        const element = elements.get(field);
+        return errors[field] && element && element.isConnected;
+      });
+      if (name && typeof elements.get(name).focus === "function") elements.get(name).focus();
+    };
+
+    const bind = (name, props = {}) => {
+      const { values, errors } = state.getState();
+      const value = values[name] !== undefined ? values[name] : "";
+      const type = (props.type || "").toLowerCase();
+      const bound = { ...props, name };
+
+      if (type === "checkbox") {
+        bound.checked = Array.isArray(value) ? value.includes(props.value) : Boolean(value);
+      } else if (type === "radio") {
+        bound.checked = value === props.value;
+      } else if (type !== "file") {
+        bound.value = value === null ? "" : value;
+      }
+      if (errors[name]) bound["aria-invalid"] = "true";
+
+      // Text fields update on input, the rest on change; both are safe to handle
+      const handle = (handler) => (event) => {
+        setValue(name, readFieldValue(event.target, state.getState().values[name]));
+        if (typeof handler === "function") handler(event);
+      };
+      bound.onInput = handle(props.onInput);
+      bound.onChange = handle(props.onChange);
+      bound.onBlur = (event) => {
+        touch(name);
+        if (typeof props.onBlur === "function") props.onBlur(event);
+      };
+      bound.ref = (element) => {
+        elements.set(name, element);
+        if (typeof props.ref === "function") props.ref(element);
+      };
+
+      return bound;
+    };
+
+    // Touch and validate every field, then call onSubmit(values, form).
+    // Usable directly as a <form> onSubmit handler.
+    const submit = (event) => {
+      if (event && typeof event.preventDefault === "function") event.preventDefault();
+
+      const touched = {};
+      names.forEach((name) => {
+        touched[name] = true;
+      });
+      state.setState((current) => ({
+        touched: { ...current.touched, ...touched },
+        submitCount: current.submitCount + 1,
+        submitting: true,
+        submitError: null,
+      }));
+
+      return validate().then((valid) => {
+        if (!valid) {
+          state.setState({ submitting: false });
+          focusFirstError();
+          return false;
+        }
+
+        return Promise.resolve()
+          .then(() => typeof onSubmit === "function" && onSubmit(state.getState().values, form))
+          .then(() => {
+            state.setState({ submitting: false });
+            return true;
+          }, (error) => {
+            console.error("Form submit error:", error);
+            state.setState({ submitting: false, submitError: error });
+            return false;
+          });
+      });
+    };
+
+    const reset = (values = {}) => {
+      const nextInitial = { ...initialValues, ...values };
+      generation++;
+      names.forEach((name) => {
+        delete validations[name];
+      });
+      state.replaceState({
+        values: { ...nextInitial },
+        initialValues: nextInitial,
+        errors: {},
+        touched: {},
+        validating: {},
+        submitting: false,
+        submitCount: 0,
+        submitError: null,
+      });
+    };
+
+    const getState = () => {
+      const current = state.getState();
+      const dirty = {};
+      Object.keys(current.values).forEach((name) => {
+        if (!fieldValuesEqual(current.values[name], current.initialValues[name])) dirty[name] = true;
+      });
+
+      return {
+        values: current.values,
+        errors: current.errors,
+        touched: current.touched,
+        dirty,
+        validating: current.validating,
+        submitting: current.submitting,
+        submitCount: current.submitCount,
+        submitError: current.submitError,
+        isDirty: Object.keys(dirty).length > 0,
+        isValid: Object.keys(current.errors).length === 0,
+        isValidating: Object.keys(current.validating).length > 0,
+      };
+    };
+
+    const form = {
+      bind,
+      getState,
+      getValues: () => state.getState().values,
+      setValue,
+      setValues: (values) => Object.keys(values).forEach((name) => setValue(name, values[name])),
+      setError,
+      touch,
+      validate,
+      submit,
+      reset,
+      subscribe: (listener) => state.subscribe(() => listener(getState())),
+    };
+    forms.add(form);
+    return form;
+  };
+
+  // Create a form once per component instance (or use an existing one) and
+  // re-render the component when it changes
+  const useForm = (schema, options) => {
+    getHookInstance('useForm');
+    const [, forceUpdate] = useComponentState(0);
+    const form = useMemo(() => (forms.has(schema) ? schema : createForm(schema, options)), []);
+
+    useEffect(() => form.subscribe(() => forceUpdate((count) => count + 1)), [form]);
+
+    return form;
+  };
+
+  // Scoped styles
+  //
+  // css(styles, component) turns a style object into a generated class name
+  // and adds its rules to one <style> element per component, so loaded
+  // widgets bring their own CSS without colliding. Nested keys are selectors
+  // ('&:hover', ':focus', '& > li', '.title') or at-rules ('@media ...').
+  // unloadComponent(name) removes the component's <style> element.
+  const componentStyles = new Map(); // component name ('' = shared) -> { element, classes }
+
+  const hashString = (text) => {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  };
+
+  const compileStyles = (selector, styles) => {
+    const declarations = {};
+    const nested = [];
+    Object.keys(styles).forEach((key) => {
+      if (isPlainObject(styles[key])) {
+        nested.push(key);
+      } else {
+        declarations[key] = styles[key];
+      }
+    });
+
+    const body = styleToString(declarations);
+    let cssText = body ? `${selector}{${body}}` : "";
+
+    nested.forEach((key) => {
+      if (key.startsWith("@")) {
+        cssText += `${key}{${compileStyles(selector, styles[key])}}`;
+      } else if (key.includes("&")) {
+        cssText += compileStyles(key.replace(/&/g, selector), styles[key]);
+      } else {
+        // ':hover' and '::before' attach to the element, anything else is a descendant
+        const separator = key.startsWith(":") ? "" : " ";
+        cssText += compileStyles(`${selector}${separator}${key}`, styles[key]);
+      }
+    });
+    return cssText;
+  };
+
+  // The nearest component being rendered that was loaded by name
+  const findStyleOwner = () => {
+    for (let instance = currentInstance; instance; instance = instance.parent) {
+      for (const [name, component] of componentCache) {
+        if (component === instance.vnode.tag) return name;
+      }
+    }
+    return "";
+  };
+
+  const getStyleSheet = (owner) => {
+    let sheet = componentStyles.get(owner);
+    if (!sheet) {
+      let element = null;
+      if (typeof document !== "undefined" && document.head) {
+        element = document.createElement("style");
+        element.setAttribute("data-domkit-styles", owner || "shared");
+        document.head.appendChild(element);
+      }
+      sheet = { element, classes: new Map() };
+      componentStyles.set(owner, sheet);
+    }
+    return sheet;
+  };
+
+  // Styles default to the loaded component being rendered; pass its name when
+  // defining them outside of rendering, e.g. at the top of a component file
+  const css = (styles, component) => {
+    if (!isPlainObject(styles)) {
+      console.error("DomKit.css: styles must be an object");
+      return "";
+    }
+
+    const owner = typeof component === "string" ? component : findStyleOwner();
+    const sheet = getStyleSheet(owner);
+    const key = JSON.stringify(styles);
+
+    // The same styles in the same component share one class and one rule
+    if (!sheet.classes.has(key)) {
+      const prefix = owner ? `dk-${owner.replace(/[^\w-]/g, "-")}` : "dk";
+      const className = `${prefix}-${hashString(key)}`;
+      sheet.classes.set(key, className);
+      if (sheet.element) {
+        sheet.element.appendChild(document.createTextNode(compileStyles(`.${className}`, styles)));
+      }
+    }
+    return sheet.classes.get(key);
+  };
+
+  // A component rendering tag with scoped styles; styles may be a function of
+  // props. Its className prop is added after the generated one.
+  const styled = (tag, styles, component) => (props = {}) => {
+    const { children, className, ...rest } = props;
+    const scoped = css(typeof styles === "function" ? styles(props) : styles, component);
+    return h(tag, { ...rest, className: className ? `${scoped} ${className}` : scoped }, children);
+  };
+
+  function removeComponentStyles(name) {
+    const sheet = componentStyles.get(name);
+    if (!sheet) return;
+    if (sheet.element && sheet.element.parentNode) {
+      sheet.element.parentNode.removeChild(sheet.element);
+    }
+    componentStyles.delete(name);
+  }
+
   const memo = (component, shouldUpdate) => {
     if (typeof component !== "function") {
       console.error("DomKit.memo: First argument must be a component function");
@@ -1014,6 +4378,8 @@ const DomKit = (function () {
           lastResult = component(props);
           lastProps = props;
         } catch (error) {
+          // Let the enclosing ErrorBoundary handle it
+          if (currentInstance && findAncestor(currentInstance, ErrorBoundary)) throw error;
           console.error("DomKit.memo: Component render error:", error);
           return h("div", { className: "error" }, ["Component error"]);
         }
@@ -1026,14 +4392,48 @@ const DomKit = (function () {
   // Public API
   return {
     h,
+    Fragment,
+    createPortal,
     render,
+    renderToString,
+    hydrate,
     createComponent,
     createApp,
     // State management
     createState,
     createStatefulComponent,
+    createStore,
+    connectDevtools,
     useState,
+    useEffect,
+    useMemo,
+    useRef,
+    useStore,
+    createContext,
+    useContext,
+    Suspense,
+    lazy,
+    ErrorBoundary,
+    Transition,
+    TransitionGroup,
+    createResource,
+    useResource,
+    // Routing
+    createRouter,
+    useRouter,
+    useRoute,
+    Link,
+    // Scheduling
+    flushSync,
+    withPriority,
+    scheduleUpdate: (callback, priority) => scheduleUpdate(callback, callback, priority),
+    // Forms
+    createForm,
+    useForm,
     createInputField,
+    // Styles
+    css,
+    styled,
     memo,
     // Component loader methods (ADDED)
     configureComponentLoader,
@@ -1043,6 +4443,7 @@ const DomKit = (function () {
     getComponent,
     registerComponent,
     getComponentConfig,
+    registerDomKitComponent,
     unloadComponent,
     unloadAllComponents,
     cleanupComponentLoader,
@@ -1102,11 +4503,12 @@ const DomKit = (function () {
   };
 })();
 
-// Component export helper (ADDED)
-window.registerDomKitComponent = function (name, component) {
-  if (!window.__domkitComponents) {
-    window.__domkitComponents = {};
-  }
-  window.__domkitComponents[name] = component;
-  console.log(`Component registered: ${name}`);
-};
\ No newline at end of file
+// CommonJS: require() returns the API object, so destructuring gives named
+// exports. Script tag: DomKit is a global and component files can call
+// registerDomKitComponent as soon as they load.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DomKit;
+  module.exports.default = DomKit;
+} else if (typeof window !== "undefined") {
+  window.registerDomKitComponent = DomKit.registerDomKitComponent;
+}
@@ -2,4 +2,4 @@
  * DomKit - A minimalist front-end renderer with component support
  * Version: v1.1.0
  */
-const DomKit=function(){let e=new Map,t=new Map,n=new Map,r="",o="/components/";function i(t){return e.has(t)&&(e.delete(t),console.log(`Component unloaded: ${t}`)),!0}function s(){let t=Array.from(e.keys());return t.forEach(e=>i(e)),t}function l(i){if(e.has(i))return Promise.resolve(e.get(i));if(n.has(i))return n.get(i);if(!t.has(i))return Promise.reject(Error(`Component "${i}" is not registered.`));let s=new Promise((s,l)=>{let a=t.get(i),p=`${r}${o}${a}`,d=document.createElement("script");d.src=p,d.onload=()=>{if(window.__domkitComponents&&window.__domkitComponents[i]){let t=window.__domkitComponents[i];e.set(i,t),n.delete(i),s(t)}else n.delete(i),l(Error(`Component "${i}" was not properly exported.`))},d.onerror=()=>{n.delete(i),l(Error(`Failed to load component: ${i} from ${p}`))},document.head.appendChild(d)});return n.set(i,s),s}function a(t){return e.has(t)}function p(e,n){return t.set(e,n),!0}let d=(n,r={},o=[])=>{if("function"==typeof n)try{return n({...r,children:o})}catch(i){return console.error("Component render error:",i),d("div",{className:"error"},["Component error"])}if("string"==typeof n&&t.has(n)){if(e.has(n)){let s=e.get(n);return d(s,r,o)}{let l={},a={};Object.keys(r).forEach(e=>{e.startsWith("on")&&"function"==typeof r[e]?l[e]=r[e]:a[e]=r[e]});let p={tag:"div",props:{className:"component-loading","data-component-name":n,"data-component-props":JSON.stringify(a),"data-component-children":JSON.stringify(o),"data-component-events":JSON.stringify(Object.keys(l))},children:[`Loading ${n}...`],_eventHandlers:l};return p}}null==n&&(console.error("Tag cannot be null/undefined"),n="div");let f=Array.isArray(o)?o.filter(e=>null!=e):null!=o?[o]:[];return{tag:n,props:r,children:f}},f=(e,t)=>{if(e.props?.key!==t.props?.key)return!0;if(null===e||null===t)return e!==t;if(typeof e!=typeof t)return!0;if("string"==typeof e||"number"==typeof e)return e!==t;if(!e.tag||!t.tag||e.tag!==t.tag)return!0;let n=Object.keys(e.props||{}),r=Object.keys(t.props||{});if(n.length!==r.length)return!0;for(let o of n)if(!o.startsWith("on")){if("style"===o&&"object"==typeof e.props[o]&&"object"==typeof t.props[o]){let i=Object.keys(e.props[o]),s=Object.keys(t.props[o]);if(i.length!==s.length)return!0;for(let l of i)if(e.props[o][l]!==t.props[o][l])return!0}else if(e.props[o]!==t.props[o])return!0}return!1},c=(e,t,n)=>{if(!e||!(e instanceof HTMLElement)){console.error("Invalid element passed to updateProps");return}t.ref&&"function"==typeof t.ref&&t.ref(e),Object.keys(n).forEach(r=>{if(r.startsWith("on")&&(!t[r]||n[r]!==t[r])){let o=r.substring(2).toLowerCase();e._events&&e._events[o]&&(e.removeEventListener(o,e._events[o]),delete e._events[o])}}),Object.keys(t).forEach(r=>{if(r.startsWith("on")||n[r]!==t[r]){if(r.startsWith("on")){let o=r.substring(2).toLowerCase();e._events||(e._events={}),e._events[o]&&e.removeEventListener(o,e._events[o]),e._events[o]=t[r],e.addEventListener(o,t[r])}else if("style"===r&&"object"==typeof t[r]){let i=t[r],s=n[r]||{};Object.keys(s).forEach(t=>{i[t]||(e.style[t]="")}),Object.keys(i).forEach(t=>{s[t]!==i[t]&&(e.style[t]=i[t])})}else"className"===r?e.setAttribute("class",t[r]):e.setAttribute(r,t[r])}}),Object.keys(n).forEach(n=>{t[n]||n.startsWith("on")||"style"===n||e.removeAttribute(n)})},u=(e,t,n,r=0)=>{if(!e||!(e instanceof Node)){console.error("Invalid parent node");return}let o=null;if(t&&"object"==typeof t&&t._customRender&&(o=t._customRender(n)),!n){e.appendChild(m(t)),o&&o();return}if(!t){e.removeChild(e.childNodes[r]);return}if(f(t,n)){e.replaceChild(m(t),e.childNodes[r]),o&&o();return}if("string"==typeof t||"number"==typeof t){o&&o();return}c(e.childNodes[r],t.props||{},n.props||{});let i=t.children?t.children.length:0,s=n.children?n.children.length:0;for(let l=0;l<Math.max(i,s);l++)u(e.childNodes[r],t.children&&l<i?t.children[l]:null,n.children&&l<s?n.children[l]:null,l);o&&o()},m=e=>{try{if(null==e)return document.createTextNode("");if("string"==typeof e||"number"==typeof e)return document.createTextNode(e);if("function"==typeof e.tag){let t=e.tag(e.props||{});return m(t)}let n;n=e.props&&e.props.xmlns?document.createElementNS(e.props.xmlns,e.tag):document.createElement(e.tag),e.props&&(c(n,e.props,{}),e.props.ref&&"function"==typeof e.props.ref&&e.props.ref(n));let r=Array.isArray(e.children)?e.children:e.children?[e.children]:[];return r.forEach(e=>{null!=e&&n.appendChild(m(e))}),n}catch(o){return console.error("Failed to create DOM element:",o,e),document.createTextNode("")}},h=async(n,r)=>{if(!r){console.error("Render failed: no container provided");return}if("string"==typeof r){let o=document.querySelector(r);if(!o){console.error(`Container not found: ${r}`);return}r=o}let i=function n(r){let o=new Set;return!function n(r){if(r){if(r.props&&r.props["data-component-name"]){let i=r.props["data-component-name"];e.has(i)||o.add(i)}"string"==typeof r.tag&&t.has(r.tag)&&!e.has(r.tag)&&o.add(r.tag),r.children&&r.children.forEach(n)}}(r),Array.from(o)}(n);if(i.length>0)try{await Promise.all(i.map(e=>l(e))),n=function t(n){if(!n||"string"==typeof n||"number"==typeof n)return n;if(n.props&&n.props["data-component-name"]){let r=n.props["data-component-name"];if(e.has(r)){let o=e.get(r),i=JSON.parse(n.props["data-component-props"]||"{}");n._eventHandlers&&Object.assign(i,n._eventHandlers);let s=JSON.parse(n.props["data-component-children"]||"[]");return d(o,i,s)}}let l=n.children?n.children.map(t):[];return{tag:n.tag,props:{...n.props},children:l}}(n),g(n,r)}catch(s){console.error("Failed to load components:",s),r.innerHTML=`<div class="error">Failed to load components: ${s.message}</div>`}else g(n,r)};function g(e,t){if("undefined"!=typeof MutationObserver&&!t._observer)try{t._observer=new MutationObserver(()=>{t._externallyModified=!0}),t._observer.observe(t,{childList:!0,subtree:!1,attributes:!1,characterData:!1})}catch(n){console.warn("MutationObserver setup failed:",n)}if(t._externallyModified&&(t._vdom=null,t._externallyModified=!1),t._vdom)u(t,e,t._vdom,0),t._vdom=e;else{for(;t.firstChild;)t.removeChild(t.firstChild);t.appendChild(m(e)),t._vdom=e}let r=DomKit.getComponentConfig();console.log("Components after render:",r.loadedComponents)}let y=(e,t,n)=>{let r="string"==typeof n?document.querySelector(n):n;if(!r){console.error(`Container not found: ${n}`);return}let o=DomKit.createState(t),i=()=>{let t=e(o.getState(),o.setState.bind(o));DomKit.render(t,r)};return o.subscribe(i),i(),{getState:o.getState,setState:o.setState}},C=e=>t=>{try{return e(t)}catch(n){return console.error("Component render error:",n),d("div",{className:"error"},["Component error"])}},v=(e,t,n="replace")=>{"string"==typeof t&&(t=document.querySelector(t));let r="function"==typeof e?d(e):e,o=m(r);switch(t._injected||(t._injected=[]),n){case"append":t.appendChild(o),t._injected.push(r);break;case"prepend":t.insertBefore(o,t.firstChild),t._injected.unshift(r);break;default:for(;t.firstChild;)t.removeChild(t.firstChild);t.appendChild(o),t._injected=[r]}return o},b=(e,t,n=0)=>{"string"==typeof t&&(t=document.querySelector(t));let r="function"==typeof e?d(e):e;if(!t._injected||!t._injected[n])return v(r,t,"append");let o=t._injected[n];if(o&&!f(r,o))return t.children[n];let i=t.children[n];if(!i)return v(r,t,"append");let s=document.createElement("div"),l=m(r);return s.appendChild(l),t.replaceChild(l,i),t._injected[n]=r,l},k=(e={})=>{let t=[],n={...e},r=[],o=()=>{t.length>0&&(n={...n,...Object.assign({},...t)},t=[],r.forEach(e=>e(n)))},i=e=>{t.push(e),requestAnimationFrame(o)},s=()=>({...n}),l=e=>(r.push(e),()=>{let t=r.indexOf(e);t>-1&&r.splice(t,1)}),a=()=>{r.length=0};return{getState:s,setState:i,subscribe:l,cleanup:a}},$=(e,t={})=>{let n=k(t),r=null,o=t=>{let{getState:o,setState:i}=n,s=e({...t,state:o(),setState:i});return r=s,s};return o.getState=n.getState,o.setState=n.setState,o.subscribe=n.subscribe,o.forceUpdate=e=>{e&&r&&DomKit.render(r,e)},o},S=(e,t,n)=>{let r=k(e),o=null,i=()=>{o=t(r.getState(),r.setState),DomKit.render(o,n)};return r.subscribe(i),i(),r},E=(e={})=>{void 0===e.value&&(e.value=""),"function"!=typeof e.onChange&&(e.onChange=()=>{});let{value:t,onChange:n,...r}=e,o=null,i=e=>{n&&n(e.target.value,e)},s=DomKit.h("input",{...r,value:t||"",onChange:i,ref(e){o=e}});return s._customRender=()=>{let e=document.activeElement===o,t={start:o?o.selectionStart:0,end:o?o.selectionEnd:0};return()=>{e&&o&&(o.focus(),o.setSelectionRange(t.start,t.end))}},s},j=(e,t)=>{if("function"!=typeof e)return console.error("DomKit.memo: First argument must be a component function"),e;let n=null,r=null;return (o={})=>{let i=!t||t(n,o);if(!r||i)try{r=e(o),n=o}catch(s){return console.error("DomKit.memo: Component render error:",s),d("div",{className:"error"},["Component error"])}return r}};return{h:d,render:h,createComponent:C,createApp:y,createState:k,createStatefulComponent:$,useState:S,createInputField:E,memo:j,configureComponentLoader:function e(t={}){t.domain&&(r=t.domain),t.componentPath&&(o=t.componentPath),t.components&&Object.entries(t.components).forEach(([e,t])=>{p(e,t)}),console.log(`Component loader configured: ${r}${o}`)},loadComponent:l,preloadComponents:function e(t){return Promise.all(t.map(e=>l(e)))},isComponentLoaded:a,getComponent:function t(n){if(!a(n))throw Error(`Component "${n}" is not loaded. Call loadComponent() first.`);return e.get(n)},registerComponent:p,getComponentConfig:function n(){return{domain:r,path:o,registeredComponents:Array.from(t.entries()),loadedComponents:Array.from(e.keys())}},unloadComponent:i,unloadAllComponents:s,cleanupComponentLoader:function e(){s(),t.clear(),n.clear()},isComponentRegistered:e=>t.has(e),getLoadingComponents:()=>Array.from(n.keys()),mount(e,t){h(d(e),t)},inject:(e,t,n)=>v("function"==typeof e?d(e):e,t,n),updateInjected:(e,t,n)=>b("function"==typeof e?d(e):e,t,n),append:(e,t)=>v("function"==typeof e?d(e):e,t,"append"),prepend:(e,t)=>v("function"==typeof e?d(e):e,t,"prepend")}}();window.registerDomKitComponent=function(e,t){window.__domkitComponents||(window.__domkitComponents={}),window.__domkitComponents[e]=t,console.log(`Component registered: ${e}`)};
\ No newline at end of file
+const DomKit=function(){const e=new Map,t=new Map,n=new Map,r=new Map,o=new Map;let s="",a="/components/",i="script",l=e=>import(e),c=1e4,u=2,d=500;const p=Symbol.for("domkit.fragment"),f=Symbol.for("domkit.portal"),h=new Map,m=(e,t)=>{h.set(e,t),console.log(`Component registered: ${e}`)},g=new WeakMap;let y=0;function v(t){return!e.has(t)&&!r.has(t)}function b(e){return Promise.all(e.map(e=>D(e).catch(t=>console.error(`Failed to load component "${e}":`,t))))}function w(e,t){const n=o.get(e),s=r.get(e);return"function"==typeof n?n(s,t):void 0!==n?n:Te(s)}function S(e){const n=new Set,r=new WeakSet;return function e(o,s=0){if(!(!o||r.has(o)||s>100)&&"string"!=typeof o&&"number"!=typeof o)if(r.add(o),Array.isArray(o))o.forEach(t=>e(t,s+1));else{if(o._component){const e=o._component.name;v(e)&&n.add(e)}"string"==typeof o.tag&&t.has(o.tag)&&v(o.tag)&&n.add(o.tag),"function"==typeof o.tag&&o.tag._lazyComponentName&&v(o.tag._lazyComponentName)&&n.add(o.tag._lazyComponentName),Array.isArray(o.children)?o.children.forEach(t=>e(t,s+1)):o.children&&e(o.children,s+1)}}(e),Array.from(n)}function k(e){const t=new Set;return function e(n){const r=n.vnode;if(r&&r._component){const e=r._component.name;v(e)&&t.add(e)}n.children.forEach(e)}(e),Array.from(t)}function E(e,t){const n=k(e);return 0===n.length?null:b(n).then(t)}function C(t){if(!t)return t;if("string"==typeof t||"number"==typeof t)return t;if(Array.isArray(t))return t.map(C);if(t._component){const{name:n,props:o,children:s}=t._component;if(e.has(n))return N(e.get(n),o,C(s));if(r.has(n))return w(n,o)}if("function"==typeof t.tag){const{children:e,...n}=t.props||{};return N(t.tag,n,Array.isArray(e)?e.map(C):C(e))}const n=t.children?de(t.children).map(C):[];return{tag:t.tag,props:{...t.props},children:n}}function $(t){return e.has(t)&&(e.delete(t),console.log(`Component unloaded: ${t}`)),r.delete(t),hn(t),!0}function _(){const t=Array.from(e.keys());return t.forEach(e=>$(e)),t}function x(e,t){return new Promise((n,r)=>{"undefined"==typeof window||window.registerDomKitComponent||(window.registerDomKitComponent=m);const o=document.createElement("script");let s=null;const a=e=>{clearTimeout(s),o.onload=o.onerror=null,o.parentNode&&o.parentNode.removeChild(o),r(e)};o.src=t,o.onload=()=>{clearTimeout(s),h.has(e)?n(h.get(e)):a(new Error(`Component "${e}" was not properly exported.`))},o.onerror=()=>{a(new Error(`Failed to load component: ${e} from ${t}`))},c>0&&(s=setTimeout(()=>{a(new Error(`Timed out after ${c}ms loading component: ${e} from ${t}`))},c)),document.head.appendChild(o)})}const j=e=>{try{return"undefined"!=typeof document?new URL(e,document.baseURI).href:e}catch(t){return e}};function A(e,t){return function(e,t,n){if(!(c>0))return e;let r=null;const o=new Promise((e,o)=>{r=setTimeout(()=>{o(new Error(`Timed out after ${c}ms loading component: ${t} from ${n}`))},c)});return Promise.race([e,o]).finally(()=>clearTimeout(r))}(Promise.resolve().then(()=>l(j(t))),e,t).catch(n=>{throw new Error(`Failed to load component: ${e} from ${t} (${n.message||n})`)}).then(t=>{const n=t&&"function"==typeof t.setup?t.setup(DomKit):t&&("function"==typeof t[e]?t[e]:t.default);if("function"!=typeof n)throw new Error(`Component "${e}" was not properly exported.`);return n})}function D(o){if(e.has(o))return Promise.resolve(e.get(o));if(n.has(o))return n.get(o);if(!t.has(o))return Promise.reject(new Error(`Component "${o}" is not registered.`));const l=t.get(o),c=`${s}${a}${l}`,p="module"===i||/\.mjs(\?|#|$)/.test(l),f=e=>(e=>p?A(o,e>0?`${c}${c.includes("?")?"&":"?"}retry=${e}`:c):x(o,c))(e).catch(t=>{if(e>=u)throw t;const n=d*Math.pow(2,e);return console.warn(`Loading component "${o}" failed, retrying in ${n}ms:`,t.message),new Promise(e=>setTimeout(e,n)).then(()=>f(e+1))}),h=f(0).then(t=>(e.set(o,t),r.delete(o),n.delete(o),t),e=>{throw r.set(o,e),n.delete(o),e});return n.set(o,h),h}function O(t){return e.has(t)}function P(e,n,r={}){return t.set(e,n),void 0!==r.fallback&&o.set(e,r.fallback),!0}const N=(n,o={},s=[])=>{if("function"==typeof n)return{tag:n,props:{...o,children:s},children:de(s).filter(e=>null!=e)};if("string"==typeof n&&t.has(n)){if(e.has(n)){const t=e.get(n);return N(t,o,s)}if(r.has(n))return w(n,o);{const e={className:"component-loading","data-component-name":n};return null!=o.key&&(e.key=o.key),{tag:"div",props:e,children:[`Loading ${n}...`],_component:{name:n,props:o,children:s}}}}null==n&&(console.error("Tag cannot be null/undefined"),n="div");return{tag:n,props:o,children:Array.isArray(s)?s.filter(e=>null!=e):null!=s?[s]:[]}},T=new Set(["onMount","onUpdate","onUnmount"]),M="http://www.w3.org/2000/svg",L="http://www.w3.org/1998/Math/MathML",R={xlink:"http://www.w3.org/1999/xlink",xml:"http://www.w3.org/XML/1998/namespace",xmlns:"http://www.w3.org/2000/xmlns/"},K=new Set(["alignmentBaseline","baselineShift","clipPath","clipRule","colorInterpolation","colorInterpolationFilters","dominantBaseline","fillOpacity","fillRule","floodColor","floodOpacity","fontFamily","fontSize","fontStyle","fontVariant","fontWeight","imageRendering","letterSpacing","lightingColor","markerEnd","markerMid","markerStart","paintOrder","pointerEvents","shapeRendering","stopColor","stopOpacity","strokeDasharray","strokeDashoffset","strokeLinecap","strokeLinejoin","strokeMiterlimit","strokeOpacity","strokeWidth","textAnchor","textDecoration","textRendering","vectorEffect","wordSpacing","writingMode"]),I=(e,t,n)=>t&&t.xmlns?t.xmlns:"svg"===e?M:"math"===e?L:n,U=e=>e&&e.namespaceURI&&1===e.nodeType?e.namespaceURI===M&&"foreignObject"!==e.localName?M:e.namespaceURI===L?L:null:null,V=(e,t)=>{if("className"===e)return"class";if("htmlFor"===e)return"for";if(t===M){const t=e.match(/^(xlink|xml)([A-Z])(.*)$/);if(t)return`${t[1]}:${t[2].toLowerCase()}${t[3]}`;if(K.has(e))return e.replace(/[A-Z]/g,e=>`-${e.toLowerCase()}`)}return e},F=new Set(["key","ref","children"]),q=new Set(["value","checked","selected","indeterminate","muted"]),W=new Set(["draggable","spellcheck","contenteditable","focusable","externalresourcesrequired","preservealpha"]),B=(e,t)=>null==t?null:"boolean"==typeof t?e.startsWith("aria-")||e.startsWith("data-")||W.has(e.toLowerCase())?String(t):t?"":null:String(t),z=(e,t)=>e.startsWith("on")&&!T.has(e)&&("function"==typeof t||null==t||"object"==typeof t&&"function"==typeof t.handler),H={doubleclick:"dblclick"},Z=new Set(["gotpointercapture","lostpointercapture"]),G=e=>{let t=e.substring(2).toLowerCase();const n=t.endsWith("capture")&&!Z.has(t);return n&&(t=t.slice(0,-7)),{type:H[t]||t,capture:n}},J=new Set(["focus","blur","mouseenter","mouseleave","pointerenter","pointerleave","load","error","abort","scroll","scrollend","invalid","toggle","cancel","close","canplay","canplaythrough","durationchange","emptied","ended","loadeddata","loadedmetadata","loadstart","pause","play","playing","progress","ratechange","seeked","seeking","stalled","suspend","timeupdate","volumechange","waiting"]),X=new Set,Y=new Set,Q=(e,t,n)=>{const r=e._handlers&&e._handlers[t];if(r){n.currentTarget=e;try{Ae("user",()=>r.call(e,n))}catch(e){setTimeout(()=>{throw e})}}},ee=(e,t)=>{const n=t.type,r=!J.has(n);if(!r&&t.__domkitDispatched)return;if(t.__domkitPortalDispatched)return;const o=[];let s=t.__domkitHandledUpTo||t.target,a=!1;for(;s&&(a||s!==e);)1===s.nodeType&&o.push(s),s._portal&&(a=!0),s=s._portal||s.parentNode;const i=(e=>{let t=!1;const n={nativeEvent:e,currentTarget:null,stopPropagation(){t=!0,e.stopPropagation()},stopImmediatePropagation(){t=!0,e.stopImmediatePropagation()},isPropagationStopped:()=>t,isDefaultPrevented:()=>e.defaultPrevented};return new Proxy(e,{get(e,t){if(t in n)return n[t];const r=e[t];return"function"==typeof r?r.bind(e):r},set:(e,t,r)=>(n[t]=r,!0)})})(t);for(let e=o.length-1;e>=0&&!i.isPropagationStopped();e--)Q(o[e],`${n}:capture`,i);const l=r?o:o.slice(0,1);for(let e=0;e<l.length&&!i.isPropagationStopped();e++)Q(l[e],n,i);t.__domkitHandledUpTo=e,t.__domkitDispatched=!0,a&&(t.__domkitPortalDispatched=!0)},te=e=>{e._delegatedEvents||(e._delegatedEvents={},Y.add(e),e._cleanup||(e._cleanup=[]),e._cleanup.push(()=>{e._delegatedEvents&&Object.keys(e._delegatedEvents).forEach(t=>{e.removeEventListener(t,e._delegatedEvents[t],J.has(t))}),e._delegatedEvents=null,Y.delete(e)})),X.forEach(t=>{if(e._delegatedEvents[t])return;const n=t=>ee(e,t);e._delegatedEvents[t]=n,e.addEventListener(t,n,J.has(t))})},ne=(e,t,n)=>{const{type:r,capture:o}=G(t),s=o?`${r}:capture`:r;if("function"==typeof n)return e._handlers||(e._handlers={}),e._handlers[s]=n,void(e=>{X.has(e)||(X.add(e),Y.forEach(te))})(r);e._events||(e._events={}),e._cleanup||(e._cleanup=[]);const a={capture:!(!n.capture&&!o),passive:!!n.passive,once:!!n.once},i=e._events[s];i&&i.handler===n.handler&&i.options.passive===a.passive&&i.options.once===a.once||(re(e,t),e._events[s]={handler:n.handler,options:a},e.addEventListener(r,n.handler,a),e._cleanup.push(()=>re(e,t)))},re=(e,t)=>{const{type:n,capture:r}=G(t),o=r?`${n}:capture`:n;if(e._handlers&&delete e._handlers[o],e._events&&e._events[o]){const{handler:t,options:r}=e._events[o];e.removeEventListener(n,t,r.capture),delete e._events[o]}},oe=(e,t,n)=>{const r=n??"";t.startsWith("--")?e.style.setProperty(t,r):e.style[t]=r},se=(e,t,n,r)=>{if("style"===t)((e,t,n)=>{"object"==typeof t&&null!==t?("object"==typeof n&&null!==n||(e.removeAttribute("style"),n={}),Object.keys(n).forEach(n=>{n in t||oe(e,n,"")}),Object.keys(t).forEach(r=>{n[r]!==t[r]&&oe(e,r,t[r])})):null==t||""===t?e.removeAttribute("style"):e.setAttribute("style",t)})(e,n,r);else if(q.has(t)&&t in e){if("value"===t&&"SELECT"===e.nodeName)return;const r="value"===t?null==n?"":String(n):!!n;e[t]!==r&&(e[t]=r)}else{const r=V(t,e.namespaceURI),o=B(r,n),s=r.includes(":")?r.split(":")[0]:null,a=s?R[s]:null;if(a){const t=r.slice(s.length+1);null===o?e.removeAttributeNS(a,t):e.getAttributeNS(a,t)!==o&&e.setAttributeNS(a,r,o)}else null===o?e.removeAttribute(r):e.getAttribute(r)!==o&&e.setAttribute(r,o)}},ae=(e,t)=>{if("SELECT"!==e.nodeName||!("value"in t))return;const n=Array.isArray(t.value)?t.value.map(String):[String(t.value)];Array.prototype.forEach.call(e.options,e=>{const t=n.includes(e.value);e.selected!==t&&(e.selected=t)})},ie=(e,t,n)=>{e&&1===e.nodeType?(t.ref&&"function"==typeof t.ref&&t.ref(e),Object.keys(n).forEach(r=>{z(r,n[r])&&!t[r]&&re(e,r)}),Object.keys(t).forEach(r=>{F.has(r)||T.has(r)||(z(r,t[r])?t[r]?ne(e,r,t[r]):re(e,r):(q.has(r)||n[r]!==t[r])&&se(e,r,t[r],n[r]))}),Object.keys(n).forEach(r=>{r in t||F.has(r)||T.has(r)||z(r,n[r])||se(e,r,void 0,n[r])})):console.error("Invalid element passed to updateProps")},le=e=>e&&"object"==typeof e&&e.props?e.props.key:void 0,ce=(e,t)=>{const n=null==e||"object"!=typeof e,r=null==t||"object"!=typeof t;return n||r?n&&r:e.tag===t.tag&&le(e)===le(t)},ue=e=>!!e&&"object"==typeof e&&"function"==typeof e.tag,de=e=>Array.isArray(e)?e:null!=e?[e]:[],pe=e=>Array.isArray(e)?{tag:p,props:{},children:e.filter(e=>null!=e)}:e,fe=["user","normal","background"],he={user:new Map,normal:new Map,background:new Map};let me=null,ge=!1,ye=0,ve=0;const be=()=>"undefined"!=typeof performance&&performance.now?performance.now():Date.now(),we=e=>"function"==typeof requestAnimationFrame?requestAnimationFrame(e):setTimeout(e,16),Se=e=>e&&!he[e]?(console.warn(`Unknown update priority "${e}", using "normal"`),"normal"):e||me||"normal",ke=()=>{ge||(ge=!0,we(()=>xe(8)))},Ee=e=>{fe.forEach(t=>he[t].delete(e))},Ce=(e,t,n,r=0)=>{const o=Se(n);for(const n of fe){const r=he[n].get(e);if(r){if(fe.indexOf(n)<=fe.indexOf(o))return void(r.task=t);he[n].delete(e);break}}he[o].set(e,{task:t,order:r}),ke()},$e=e=>{try{e.task()}catch(e){console.error("Scheduled update error:",e)}},_e=(e,t,n)=>{const r=he[e],o=Array.from(r.entries()).sort((e,t)=>e[1].order-t[1].order);r.clear();for(let s=0;s<o.length;s++){if("background"===e&&be()-n>t)return o.slice(s).forEach(([e,t])=>{r.has(e)||r.set(e,t)}),void ke();$e(o[s][1])}},xe=(e=1/0)=>{ge=!1;const t=be(),n=ve;ve=++ye;try{let n=0;for(;he.user.size>0||he.normal.size>0;){if(++n>100)return console.error("Updates keep scheduling more updates, continuing next frame"),void ke();_e("user",e,t),_e("normal",e,t)}_e("background",e,t)}finally{ve=n}},je=()=>fe.some(e=>he[e].size>0),Ae=(e,t)=>{const n=me;me=Se(e);try{return t()}finally{me=n}};let De=null,Oe=[],Pe=!1;const Ne=(e,t)=>({vnode:e,parent:t,depth:t?t.depth+1:0,hooks:[],hookIndex:0,effects:[],mounted:null,dirty:!1,unmounted:!1}),Te=e=>N("div",{className:"domkit-component-error",style:"color: red; padding: 5px; border: 1px solid red; background: #ffebee;"},[`Component Error: ${e.message}`]),Me=e=>{const t=De;De=e,e.hookIndex=0,e.dirty=!1,Ee(e);try{const t=e.vnode.tag(e.vnode.props||{});return void 0===t||!1===t?null:t}catch(t){if(t&&"function"==typeof t.then)return e.effects=[],Ke(e,t),null;if(e.effects=[],Ue(e,t))return null;const n=e.vnode.tag;return console.error("Component error:",t,"Component:",n.name||"Anonymous"),Te(t)}finally{De=t}},Le=(e,t)=>{let n=e.parent;for(;n&&n.vnode.tag!==t;)n=n.parent;return n},Re=(e,t)=>{if(e.suspended.has(t))return;e.suspended.add(t);const n=()=>{e.suspended.delete(t),He(e)};t.then(n,n)},Ke=(e,t)=>{const n=Le(e,qt);if(n)Re(n,t),He(n);else{const n=()=>He(e);t.then(n,n)}},Ie=(e,t,n)=>{if(e.caughtError)return;e.caughtError={error:t};const{onError:r}=e.vnode.props||{};if("function"==typeof r)try{r(t,{componentName:n})}catch(e){console.error("ErrorBoundary onError error:",e)}else console.error("Component error:",t,"Component:",n)},Ue=(e,t)=>{const n=Le(e,Wt);return!!n&&(n.caughtError||(Ie(n,t,e.vnode.tag.name||"Anonymous"),He(n)),!0)},Ve=e=>{if(!De)throw new Error(`DomKit.${e} must be called while a function component renders`);return De},Fe=(e,t)=>!e||!t||e.length!==t.length||t.some((t,n)=>!Object.is(t,e[n])),qe=()=>{Pe=!1;const e=Oe;Oe=[],e.forEach(e=>{try{e()}catch(e){console.error("Effect error:",e)}})},We=e=>{0!==e.length&&(Oe.push(...e),Pe||(Pe=!0,Promise.resolve().then(qe)))},Be=e=>{We(e.effects),e.effects=[]},ze=(e,...t)=>{"function"==typeof e&&We([()=>e(...t)])},He=e=>{!e.unmounted&&e.mounted&&(e.dirty=!0,Ce(e,()=>{e.dirty&&!e.unmounted&&ct(e)},void 0,e.depth))},Ze=e=>e.dom?[e.dom]:[].concat(...e.children.map(Ze)),Ge=e=>e.dom||Ge(e.children[0]),Je=e=>e.dom||Je(e.children[e.children.length-1]),Xe=(e,t,n)=>{Ze(t).forEach(t=>e.insertBefore(t,n))},Ye=(e,t)=>{Ze(t).forEach(t=>{t.parentNode===e&&(t._transition?Xt(t):e.removeChild(t))})},Qe=e=>{const t=de(e.children).map(pe);return t.length>0?t:[""]},et=e=>{const t="string"==typeof e?document.querySelector(e):e;return t&&1===t.nodeType?t:(console.error("DomKit.createPortal: target not found",e),null)},tt=e=>{e.children.forEach(t=>{Ze(t).forEach(t=>{t._portal=e.dom})}),te(e.portal)},nt=(e,t)=>{if(e.vnode.tag!==Wt)return st(Me(e),e,t);try{return st(Me(e),e,t)}catch(n){if(e.caughtError)throw n;return Ie(e,n,null),st(Me(e),e,t)}},rt=(e,t)=>{const n=e.mounted.children[0],r=Ge(n).parentNode,o=Ge(n).previousSibling,s=Je(n).nextSibling;try{return t()}catch(t){if(e.caughtError)throw t;Ie(e,t,null);let a=o?o.nextSibling:r.firstChild;for(;a&&a!==s;){const e=a.nextSibling;r.removeChild(a),a=e}try{at(n)}catch(e){console.error("Unmount error:",e)}const i=st(Me(e),e,U(r));return Xe(r,i,s),e.mounted.children=[i],i}},ot=(e,t)=>{const n=()=>it(e,t.mounted.children[0],Me(t),t);return t.vnode.tag===Wt?rt(t,n):n()},st=(e,t,n=null)=>{const r={vnode:e=pe(e),dom:null,children:[],instance:null};if(null==e||"object"!=typeof e){const t=null==e||"boolean"==typeof e?"":e;return r.dom=document.createTextNode(t),r}if(ue(e)){const o=Ne(e,t);return o.mounted=r,r.instance=o,r.children=[nt(o,n)],Be(o),r}if(e.tag===p)return r.children=Qe(e).map(e=>st(e,t,n)),r;if(e.tag===f)return r.dom=document.createTextNode(""),r.portal=et(e.props.target),r.portal&&(r.children=de(e.children).map(e=>{const n=st(e,t,U(r.portal));return Xe(r.portal,n,null),n}),tt(r)),r;let o;const s=I(e.tag,e.props,n);return o=s?document.createElementNS(s,e.tag):document.createElement(e.tag),e.props&&(ie(o,e.props,{}),e.props.ref&&"function"==typeof e.props.ref&&e.props.ref(o)),r.dom=o,r.children=de(e.children).map(e=>{const n=st(e,t,U(o));return Xe(o,n,null),n}),e.props&&(ae(o,e.props),ze(e.props.onMount,o)),r},at=e=>{e.portal&&e.children.forEach(t=>Ye(e.portal,t)),e.children.forEach(at);const t=e.dom;if(t&&1===t.nodeType){const n=e.vnode&&e.vnode.props;if(n&&"function"==typeof n.onUnmount)try{n.onUnmount(t)}catch(e){console.error("onUnmount error:",e)}t._cleanup&&(t._cleanup.forEach(e=>{try{e()}catch(e){console.warn("Cleanup error:",e)}}),t._cleanup=null)}if(e.instance){const t=e.instance;t.unmounted=!0,t.effects=[],Ee(t),t.hooks.forEach(e=>{if(e&&"function"==typeof e.cleanup){try{e.cleanup()}catch(e){console.error("Effect cleanup error:",e)}e.cleanup=null}})}},it=(e,t,n,r)=>{n=pe(n);const o=t.vnode;let s=null;if(n&&"object"==typeof n&&n._customRender&&(s=n._customRender(o)),!ce(n,o)){const o=st(n,r,U(e));return Xe(e,o,Ge(t)),Ye(e,t),at(t),s&&s(),o}if(t.vnode=n,t.instance){const r=t.instance;return r.vnode=n,t.children=[ot(e,r)],Be(r),t}if(n.tag===p){const o=Je(t).nextSibling;return t.children=lt(e,Qe(n),t.children,r,o),t}if(n.tag===f){const e=et(n.props.target);return e!==t.portal&&(t.children.forEach(n=>{e?Xe(e,n,null):(Ye(t.portal,n),at(n))}),e||(t.children=[]),t.portal=e),e&&(t.children=lt(e,de(n.children).map(pe),t.children,r),tt(t)),t}if(null==n||"object"!=typeof n){const e=null==n||"boolean"==typeof n?"":String(n);return t.dom.nodeValue!==e&&(t.dom.nodeValue=e),s&&s(),t}return ie(t.dom,n.props||{},o.props||{}),t.children=lt(t.dom,de(n.children).map(pe),t.children,r),n.props&&(ae(t.dom,n.props),ze(n.props.onUpdate,t.dom,o.props||{})),s&&s(),t},lt=(e,t,n,r,o=null)=>{const s=new Map,a=[];n.forEach((e,t)=>{const n=le(e.vnode);if(null!=n){if(!s.has(n))return void s.set(n,t);console.warn(`DomKit: duplicate key "${n}" among siblings`)}a.push(t)});const i=new Array(t.length).fill(-1),l=new Array(n.length).fill(!1);let c=0;t.forEach((e,t)=>{const r=le(e);let o=-1;null!=r?s.has(r)&&(o=s.get(r),s.delete(r)):c<a.length&&(o=a[c++]),-1!==o&&ce(e,n[o].vnode)&&(i[t]=o,l[o]=!0)}),n.forEach((t,n)=>{l[n]||(Ye(e,t),at(t))});const u=t.map((t,o)=>-1===i[o]?st(t,r,U(e)):it(e,n[i[o]],t,r)),d=new Set((e=>{const t=new Array(e.length),n=[];for(let r=0;r<e.length;r++){const o=e[r];if(-1===o)continue;let s=0,a=n.length;for(;s<a;){const t=s+a>>1;e[n[t]]<o?s=t+1:a=t}t[r]=s>0?n[s-1]:-1,n[s]=r}const r=new Array(n.length);let o=n.length>0?n[n.length-1]:-1;for(let e=n.length-1;e>=0;e--)r[e]=o,o=t[o];return r})(i));let p=o;for(let t=u.length-1;t>=0;t--){const n=Ge(u[t]);d.has(t)&&n.parentNode===e||Xe(e,u[t],p),p=n}return u},ct=e=>{const t=e.mounted,n=Ge(t).parentNode;if(!n)return;const r=()=>{t.children=[ot(n,e)],Be(e)},o=e.vnode.tag===Wt?null:Le(e,Wt);if(o){const t=o.mounted.children[0];if(rt(o,()=>(r(),t)),e.unmounted)return}else r();E(t,()=>He(e))},ut=(e,t,n)=>{if(!e||"number"!=typeof e.nodeType)return console.error("Invalid parent node"),n;if(!n){let n=null;t&&"object"==typeof t&&t._customRender&&(n=t._customRender(null));const r=st(t,null,U(e));return Xe(e,r,null),n&&n(),r}return it(e,n,t,null)},dt=e=>{try{const t=Ze(st(e,null));if(1===t.length)return t[0];const n=document.createDocumentFragment();return t.forEach(e=>n.appendChild(e)),n}catch(t){return console.error("Failed to create DOM element:",t,e),document.createTextNode("")}},pt=new Set(["area","base","br","col","embed","hr","img","input","link","meta","param","source","track","wbr"]),ft=/^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/,ht=new Set(["script","style"]),mt=e=>String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;"),gt=e=>Object.keys(e).filter(t=>null!==e[t]&&void 0!==e[t]&&""!==e[t]).map(t=>`${t.startsWith("--")?t:t.replace(/[A-Z]/g,e=>`-${e.toLowerCase()}`)}:${e[t]}`).join(";"),yt=(e,t=null)=>{let n="";return Object.keys(e).forEach(r=>{const o=e[r];if(F.has(r)||T.has(r))return;if("function"==typeof o||z(r,o))return;if("style"===r&&"object"==typeof o&&null!==o){const e=gt(o);return void(e&&(n+=` style="${mt(e)}"`))}const s=V(r,t);if(!ft.test(s))return void console.warn(`renderToString: skipping invalid attribute name "${s}"`);const a=B(s,o);null!==a&&(n+=""===a&&!0===o?` ${s}`:` ${s}="${mt(a)}"`)}),n},vt=(e,t,n=null)=>{if(null==e||"boolean"==typeof e)return"";if("string"==typeof e||"number"==typeof e)return mt(e);if(Array.isArray(e))return e.map(e=>vt(e,t,n)).join("");if("function"==typeof e.tag){const r=Ne(e,n);return vt(Me(r),t,r)}if(e.tag===p)return de(e.children).map(e=>vt(e,t,n)).join("");if(e.tag===f)return"";if("string"!=typeof e.tag)return console.error("renderToString: invalid vnode",e),"";const r=e.tag;if(!ft.test(r))return console.warn(`renderToString: skipping invalid tag name "${r}"`),"";const o=e.props||{},s=I(r,o,t);if(!s&&"textarea"===r.toLowerCase()&&void 0!==o.value&&null!==o.value){const{value:e,...t}=o;return`<${r}${yt(t)}>${mt(e)}</${r}>`}const a=yt(o,s);if(!s&&pt.has(r.toLowerCase()))return`<${r}${a}>`;if(!s&&ht.has(r.toLowerCase())){const t=new RegExp(`</(${r})`,"gi");return`<${r}${a}>${de(e.children).map(e=>"string"==typeof e||"number"==typeof e?String(e).replace(t,"<\\/$1"):vt(e,null,n)).join("")}</${r}>`}const i=s===M&&"foreignObject"===r?null:s===M||s===L?s:null;return`<${r}${a}>${de(e.children).map(e=>vt(e,i,n)).join("")}</${r}>`},bt=async(e,t)=>{if(!t)return console.error("Render failed: no container provided"),Promise.reject(new Error("No container provided"));if("string"==typeof t){const e=document.querySelector(t);if(!e)return console.error(`Container not found: ${t}`),Promise.reject(new Error(`Container not found: ${t}`));t=e}const n=++y;g.set(t,n);const r=()=>g.get(t)===n;try{await Et(e,t);let n=t._mounted?k(t._mounted):[];for(;n.length>0;){if(await b(n),!r())return void console.log("Render request superseded, aborting");e=C(e),await Et(e,t),n=k(t._mounted)}}catch(e){if(r()){console.error("Failed to render:",e);Ct(N("div",{className:"domkit-error",style:{color:"red",padding:"10px",border:"1px solid red",backgroundColor:"#ffebee"}},[N("strong",{},"Render Error: "),N("span",{},String(e.message||e))]),t)}}},wt=e=>{e._observer&&(e._observer.disconnect(),e._observer=null),e._mounted&&(at(e._mounted),e._mounted=null),e._cleanup&&(e._cleanup.forEach(e=>{try{e()}catch(e){console.warn("Cleanup error:",e)}}),e._cleanup=null)},St=e=>{if("undefined"!=typeof MutationObserver&&!e._observer)try{e._observer=new MutationObserver(()=>{e._externallyModified=!0}),e._observer.observe(e,{childList:!0,subtree:!1,attributes:!1,characterData:!1}),e._cleanup||(e._cleanup=[]),e._cleanup.push(()=>{e._observer&&(e._observer.disconnect(),e._observer=null)})}catch(e){console.warn("MutationObserver setup failed:",e)}},kt=new WeakMap,Et=async(e,t)=>new Promise((n,r)=>{if(!t||!t.isConnected)return void r(new Error("Container is no longer in DOM"));const o=kt.get(t)||{callers:[]};o.vnode=e,o.callers.push({resolve:n,reject:r}),kt.set(t,o),Ce(t,()=>{kt.delete(t);try{Ct(o.vnode,t),o.callers.forEach(e=>e.resolve())}catch(e){o.callers.forEach(t=>t.reject(e))}})});function Ct(e,t){if(!t||!t.isConnected)throw new Error("Invalid or disconnected container");St(t),te(t),t._externallyModified&&(t._vdom=null,t._externallyModified=!1),t.hasAttribute("data-domkit-container")||t.setAttribute("data-domkit-container","true");try{if(t._vdom&&t._mounted)t._mounted=ut(t,e,t._mounted),t._vdom=e;else{for(t._mounted&&at(t._mounted);t.firstChild;)t.removeChild(t.firstChild);t._mounted=ut(t,e,null),t._vdom=e}}catch(e){console.error("Render error:",e);const n=N("div",{className:"domkit-render-error",style:{color:"red",padding:"5px",border:"1px solid red"}},`Render Error: ${e.message}`);for(t._vdom=n,t._mounted&&at(t._mounted);t.firstChild;)t.removeChild(t.firstChild);t._mounted=ut(t,n,null)}t._observer&&t._observer.takeRecords();const n=DomKit.getComponentConfig();console.log("Components after render:",n.loadedComponents)}let $t=!0;const _t=(e,t,n)=>{$t&&console.warn(`DomKit hydration mismatch: ${e}`,{dom:t,vnode:n})},xt=e=>3===e.nodeType&&!e.nodeValue.trim(),jt=(e,t,n,r)=>{if(ue(n)){const o={vnode:n,dom:null,children:[],instance:null},s=Ne(n,r);return s.mounted=o,o.instance=s,o.children=[jt(e,t,Me(s),s)],Be(s),o}if((n=pe(n))&&"object"==typeof n&&n.tag===p){let o=t;const s=Qe(n).map(t=>{const n=jt(e,o,t,r);return o=Je(n).nextSibling,n});return{vnode:n,dom:null,children:s,instance:null}}if(n&&"object"==typeof n&&n.tag===f){const o=st(n,r);return e.insertBefore(o.dom,t||null),o}if(t=((e,t,n)=>{const r="string"==typeof n||"number"==typeof n;for(;t&&(8===t.nodeType||!r&&xt(t));){const n=t.nextSibling;e.removeChild(t),t=n}return t})(e,t,n),null==n||"object"!=typeof n){const r=null==n||"boolean"==typeof n?"":String(n),o={vnode:n,dom:t,children:[],instance:null};return t&&3===t.nodeType?t.nodeValue.length>r.length&&t.nodeValue.startsWith(r)?(t.splitText(r.length),o):(t.nodeValue!==r&&(_t(`text content "${t.nodeValue}" does not match "${r}"`,t,n),t.nodeValue=r),o):(r&&_t(`expected text "${r}"`,t,n),o.dom=document.createTextNode(r),e.insertBefore(o.dom,t||null),o)}if(!t||1!==t.nodeType||t.nodeName.toLowerCase()!==String(n.tag).toLowerCase())return _t(`expected <${n.tag}>`,t,n),((e,t,n,r)=>{const o=st(n,r,U(e));return Xe(e,o,t||null),t&&e.removeChild(t),o})(e,t,n,r);const o=n.props||{};"string"==typeof o.className&&(t.getAttribute("class")||"")!==o.className&&_t(`class "${t.getAttribute("class")}" does not match "${o.className}"`,t,n),ie(t,o,{});let s=t.firstChild;const a=de(n.children).map(e=>{const n=jt(t,s,e,r);return s=Je(n).nextSibling,n});for(;s;){const e=s.nextSibling;8===s.nodeType||xt(s)||_t("unexpected extra node",s,n),t.removeChild(s),s=e}return ae(t,o),ze(o.onMount,t),{vnode:n,dom:t,children:a,instance:null}},At=(e,t,n="replace")=>{"string"==typeof t&&(t=document.querySelector(t));const r="function"==typeof e?N(e):e,o=dt(r);switch(t._injected||(t._injected=[]),te(t),n){case"append":t.appendChild(o),t._injected.push(r);break;case"prepend":t.insertBefore(o,t.firstChild),t._injected.unshift(r);break;default:for(;t.firstChild;)t.removeChild(t.firstChild);t.appendChild(o),t._injected=[r]}return o},Dt=(e,t,n=0)=>{"string"==typeof t&&(t=document.querySelector(t));const r="function"==typeof e?N(e):e;if(!t._injected||!t._injected[n])return At(r,t,"append");const o=t._injected[n];if(o&&!((e,t)=>{if(e.props?.key!==t.props?.key)return!0;if(null===e||null===t)return e!==t;if(typeof e!=typeof t)return!0;if("string"==typeof e||"number"==typeof e)return e!==t;if(!e.tag||!t.tag)return!0;if(e.tag!==t.tag)return!0;const n=Object.keys(e.props||{}),r=Object.keys(t.props||{});if(n.length!==r.length)return!0;for(const r of n)if(!r.startsWith("on"))if("style"===r&&"object"==typeof e.props[r]&&"object"==typeof t.props[r]){const n=Object.keys(e.props[r]),o=Object.keys(t.props[r]);if(n.length!==o.length)return!0;for(const o of n)if(e.props[r][o]!==t.props[r][o])return!0}else if(e.props[r]!==t.props[r])return!0;return!1})(r,o))return t.children[n];const s=t.children[n];if(!s)return At(r,t,"append");const a=document.createElement("div"),i=dt(r);return a.appendChild(i),t.replaceChild(i,s),t._injected[n]=r,i},Ot=(e={},t={})=>{let n={...e},r=[];const o=[],s=()=>{const e=r;r=[],o.slice().forEach(e=>{try{e(n)}catch(e){console.error("State listener error:",e)}}),e.forEach(e=>e(n))},a=(e,o)=>new Promise(a=>{n=e,r.push(e=>{if("function"==typeof o)try{o({...e})}catch(e){console.error("State callback error:",e)}a({...e})}),t.sync?s():Ce(s,s)}),i=()=>({...n});return{getState:i,setState:(e,t)=>{const r="function"==typeof e?e(i()):e;return"object"!=typeof r||null===r?(console.error("State must be an object"),Promise.resolve(i())):a({...n,...r},t)},replaceState:(e,t)=>"object"!=typeof e||null===e?(console.error("State must be an object"),Promise.resolve(i())):a({...e},t),subscribe:e=>(o.push(e),()=>{const t=o.indexOf(e);t>-1&&o.splice(t,1)}),cleanup:()=>{o.length=0}}},Pt="domkit/setState",Nt="domkit/replaceState";let Tt=null;const Mt=(e,t)=>{const n=Tt||"undefined"!=typeof window&&window.__DOMKIT_DEVTOOLS_HOOK__||null;if(n&&"function"==typeof n[e])try{n[e](t)}catch(e){console.warn("Devtools hook error:",e)}},Lt=e=>!!e&&"function"==typeof e.dispatch&&"function"==typeof e.getState&&"function"==typeof e.select,Rt=e=>{const t=Ve("useState"),n=t.hookIndex++;if(!t.hooks[n]){const r={value:"function"==typeof e?e():e,setValue:e=>{const n="function"==typeof e?e(r.value):e;Object.is(n,r.value)||(r.value=n,He(t))}};t.hooks[n]=r}const r=t.hooks[n];return[r.value,r.setValue]},Kt=(e,t)=>{const n=Ve("useEffect"),r=n.hookIndex++,o=n.hooks[r]||(n.hooks[r]={deps:null,cleanup:null,ran:!1});o.ran&&t&&!Fe(o.deps,t)||(o.ran=!0,o.deps=t,n.effects.push(()=>{if(n.unmounted)return;"function"==typeof o.cleanup&&o.cleanup();const t=e();o.cleanup="function"==typeof t?t:null}))},It=(e,t)=>{const n=Ve("useMemo"),r=n.hookIndex++,o=n.hooks[r];return o&&t&&!Fe(o.deps,t)?o.value:(n.hooks[r]={value:e(),deps:t},n.hooks[r].value)},Ut=e=>(Ve("useRef"),It(()=>({current:e}),[])),Vt=e=>{const t={defaultValue:e,Provider:({value:e,children:t})=>{const n=Ve("Provider");return n.contextConsumers?Object.is(n.contextValue,e)||n.contextConsumers.forEach(He):n.contextConsumers=new Set,n.contextValue=e,t},Consumer:({children:e})=>{const n=de(e)[0];return"function"==typeof n?n(Ft(t)):null}};return t},Ft=e=>{const t=Ve("useContext"),n=Le(t,e.Provider);return Kt(()=>{if(n)return n.contextConsumers.add(t),()=>n.contextConsumers.delete(t)},[n]),n?n.contextValue:e.defaultValue},qt=({fallback:e=null,children:t})=>{const n=Ve("Suspense");n.suspended||(n.suspended=new Set);const r=S(t);return Kt(()=>{r.length>0&&Re(n,b(r))}),r.length>0||n.suspended.size>0?e:C(t)},Wt=({fallback:e,children:t})=>{const n=Ve("ErrorBoundary");if(!n.caughtError)return t;n.resetError||(n.resetError=()=>{n.caughtError&&(n.caughtError=null,He(n))});const{error:r}=n.caughtError;return"function"==typeof e?e(r,n.resetError):void 0===e?Te(r):e},Bt=new Map,zt="domkit",Ht=["name","duration","onEnter","onAfterEnter","onLeave","onAfterLeave"],Zt=(e,t,n)=>{const r="number"==typeof t?t:(e=>{if("function"!=typeof getComputedStyle)return 0;const t=getComputedStyle(e),n=e=>(parseFloat(e)||0)*(/ms\s*$/.test(e)?1:1e3),r=(e,t)=>{const r=(t||"0s").split(",");return Math.max(0,...(e||"0s").split(",").map((e,t)=>n(e)+n(r[t%r.length])))};return Math.max(r(t.transitionDuration,t.transitionDelay),r(t.animationDuration,t.animationDelay))})(e);r>0?setTimeout(n,r):n()},Gt=(e,t,n,r,o)=>{const s=n.name||zt,a=`${s}-${t}-from`,i=`${s}-${t}-active`,l=`${s}-${t}-to`;var c;e.classList.add(a,i),e.offsetHeight,c=()=>{r()&&(e.classList.remove(a),e.classList.add(l),Zt(e,n.duration,()=>{r()&&(e.classList.remove(i,l),o())}))},we(()=>we(c))},Jt=(e,t,n)=>{const r=e._transition,{options:o}=r,s={},a=()=>r.token===s;r.token=s;const i=o.name||zt;["enter","leave"].forEach(t=>{e.classList.remove(`${i}-${t}-from`,`${i}-${t}-active`,`${i}-${t}-to`)});const l="enter"===t?o.onEnter:o.onLeave,c="enter"===t?o.onAfterEnter:o.onAfterLeave,u=()=>{a()&&("function"==typeof c&&c(e),n())};"function"==typeof l?((e,t,n)=>{let r=!1;const o=()=>{r||(r=!0,n())};let s;try{s=e(t,o)}catch(e){return console.error("Transition hook error:",e),void o()}const a=s&&(s.finished||s);a&&"function"==typeof a.then?a.then(o,o):e.length<2&&o()})(l,e,u):Gt(e,t,o,a,u)},Xt=e=>{e._transition.leaving=!0,Jt(e,"leave",()=>{e.parentNode&&e.parentNode.removeChild(e)})},Yt=(e,t,n,r)=>{if(!e||"object"!=typeof e||"string"!=typeof e.tag)return console.warn("DomKit: Transition children must be elements"),e;const o=e.props&&e.props.ref;return{...e,props:{...e.props,ref:e=>{e._transition||(e._transition={options:t,token:null,leaving:!1},n()&&ze(Jt,e,"enter",()=>{})),e._transition.options=t,r&&r(e),"function"==typeof o&&o(e)}}}},Qt=e=>{const t={},n={};return Object.keys(e).forEach(r=>{Ht.includes(r)?t[r]=e[r]:n[r]=e[r]}),[t,n]},en=Vt(null),tn=e=>{const t=[],n=e.split("/").filter(Boolean).map(e=>{return"*"===e?(t.push("*"),"(?:/(.*))?"):e.startsWith(":")?(t.push(e.slice(1)),"/([^/]+)"):`/${n=e,n.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}`;var n}).join("");return{keys:t,regexp:new RegExp(`^${n}/?$`)}},nn=(e,t="/",n=[])=>e.reduce((e,r)=>{const o=((e,t)=>t.startsWith("/")?t:`${e.replace(/\/$/,"")}/${t}`)(t,r.path||""),s=[...n,r];return Array.isArray(r.children)&&e.push(...nn(r.children,o,s)),e.push({path:o,chain:s,...tn(o)}),e},[]),rn=e=>{const[t,n=""]=e.split("#"),[r,o=""]=t.split("?"),s={};return new URLSearchParams(o).forEach((e,t)=>{s[t]=e}),{path:r||"/",query:s,hash:n}},on=new WeakSet,sn=e=>"[object Object]"===Object.prototype.toString.call(e),an=(e,t)=>Array.isArray(e)&&Array.isArray(t)?e.length===t.length&&e.every((e,n)=>Object.is(e,t[n])):Object.is(e,t),ln=(e,t,n)=>{const r={...e};return n?r[t]=n:delete r[t],r},cn=(e,t,n,r)=>{for(let o=t;o<e.length;o++){const t=e[o](n,r);if(t&&"function"==typeof t.then)return t.then(t=>t||cn(e,o+1,n,r));if(t)return t}return null},un=(e={},t={})=>{const{onSubmit:n,validate:r,validateOn:o="blur"}=t,s={},a={};Object.keys(e).forEach(t=>{const n=sn(e[t])?e[t]:{initial:e[t]};s[t]={validators:n.validate?[].concat(n.validate):[]},a[t]=void 0!==n.initial?n.initial:""});const i=Object.keys(s),l=Ot({values:{...a},initialValues:a,errors:{},touched:{},validating:{},submitting:!1,submitCount:0,submitError:null}),c=new Map,u={};let d=0;const p=e=>{const{values:t}=l.getState(),n={generation:d};u[e]=n;const o=t=>n.generation!==d||(u[e]!==n?u[e].promise:(l.setState(n=>({errors:ln(n.errors,e,t),validating:ln(n.validating,e,!1)})),!t)),a=e=>e&&e.message||String(e);let i;try{i=cn((e=>{const t=s[e]?s[e].validators:[];return"function"!=typeof r?t:t.concat((t,n)=>{const o=r(n);return o&&"function"==typeof o.then?o.then(t=>t&&t[e]):o&&o[e]})})(e),0,t[e],t)}catch(e){i=a(e)}return i&&"function"==typeof i.then?(l.setState(t=>({validating:ln(t.validating,e,!0)})),n.promise=i.then(o,e=>o(a(e)))):n.promise=Promise.resolve(o(i)),n.promise},f=e=>void 0!==e?p(e):Promise.all(i.map(p)).then(e=>e.every(Boolean)),h=(e,t)=>{const n=l.getState();an(n.values[e],t)||(l.setState({values:{...n.values,[e]:t}}),("input"===o||"blur"===o&&(n.touched[e]||n.submitCount>0))&&p(e))},m=e=>{l.setState(t=>({touched:{...t.touched,[e]:!0}})),"submit"!==o&&p(e)},g=()=>{const e=l.getState(),t={};return Object.keys(e.values).forEach(n=>{an(e.values[n],e.initialValues[n])||(t[n]=!0)}),{values:e.values,errors:e.errors,touched:e.touched,dirty:t,validating:e.validating,submitting:e.submitting,submitCount:e.submitCount,submitError:e.submitError,isDirty:Object.keys(t).length>0,isValid:0===Object.keys(e.errors).length,isValidating:Object.keys(e.validating).length>0}},y={bind:(e,t={})=>{const{values:n,errors:r}=l.getState(),o=void 0!==n[e]?n[e]:"",s=(t.type||"").toLowerCase(),a={...t,name:e};"checkbox"===s?a.checked=Array.isArray(o)?o.includes(t.value):Boolean(o):"radio"===s?a.checked=o===t.value:"file"!==s&&(a.value=null===o?"":o),r[e]&&(a["aria-invalid"]="true");const i=t=>n=>{h(e,((e,t)=>{const n=(e.type||"").toLowerCase();if("checkbox"===n){if(Array.isArray(t)){const n=t.filter(t=>t!==e.value);return e.checked?n.concat(e.value):n}return e.checked}return"radio"===n?e.checked?e.value:t:"SELECT"===e.nodeName&&e.multiple?Array.prototype.filter.call(e.options,e=>e.selected).map(e=>e.value):"file"===n?e.files:"number"!==n&&"range"!==n||""===e.value?e.value:Number(e.value)})(n.target,l.getState().values[e])),"function"==typeof t&&t(n)};return a.onInput=i(t.onInput),a.onChange=i(t.onChange),a.onBlur=n=>{m(e),"function"==typeof t.onBlur&&t.onBlur(n)},a.ref=n=>{c.set(e,n),"function"==typeof t.ref&&t.ref(n)},a},getState:g,getValues:()=>l.getState().values,setValue:h,setValues:e=>Object.keys(e).forEach(t=>h(t,e[t])),setError:(e,t)=>{l.setState(n=>({errors:ln(n.errors,e,t)}))},touch:m,validate:f,submit:e=>{e&&"function"==typeof e.preventDefault&&e.preventDefault();const t={};return i.forEach(e=>{t[e]=!0}),l.setState(e=>({touched:{...e.touched,...t},submitCount:e.submitCount+1,submitting:!0,submitError:null})),f().then(e=>e?Promise.resolve().then(()=>"function"==typeof n&&n(l.getState().values,y)).then(()=>(l.setState({submitting:!1}),!0),e=>(console.error("Form submit error:",e),l.setState({submitting:!1,submitError:e}),!1)):(l.setState({submitting:!1}),(()=>{const{errors:e}=l.getState(),t=i.find(t=>{const n=c.get(t);return e[t]&&n&&n.isConnected});t&&"function"==typeof c.get(t).focus&&c.get(t).focus()})(),!1))},reset:(e={})=>{const t={...a,...e};d++,i.forEach(e=>{delete u[e]}),l.replaceState({values:{...t},initialValues:t,errors:{},touched:{},validating:{},submitting:!1,submitCount:0,submitError:null})},subscribe:e=>l.subscribe(()=>e(g()))};return on.add(y),y},dn=new Map,pn=(e,t)=>{const n={},r=[];Object.keys(t).forEach(e=>{sn(t[e])?r.push(e):n[e]=t[e]});const o=gt(n);let s=o?`${e}{${o}}`:"";return r.forEach(n=>{if(n.startsWith("@"))s+=`${n}{${pn(e,t[n])}}`;else if(n.includes("&"))s+=pn(n.replace(/&/g,e),t[n]);else{const r=n.startsWith(":")?"":" ";s+=pn(`${e}${r}${n}`,t[n])}}),s},fn=(t,n)=>{if(!sn(t))return console.error("DomKit.css: styles must be an object"),"";const r="string"==typeof n?n:(()=>{for(let t=De;t;t=t.parent)for(const[n,r]of e)if(r===t.vnode.tag)return n;return""})(),o=(e=>{let t=dn.get(e);if(!t){let n=null;"undefined"!=typeof document&&document.head&&(n=document.createElement("style"),n.setAttribute("data-domkit-styles",e||"shared"),document.head.appendChild(n)),t={element:n,classes:new Map},dn.set(e,t)}return t})(r),s=JSON.stringify(t);if(!o.classes.has(s)){const e=`${r?`dk-${r.replace(/[^\w-]/g,"-")}`:"dk"}-${(e=>{let t=5381;for(let n=0;n<e.length;n++)t=(t<<5)+t+e.charCodeAt(n)|0;return(t>>>0).toString(36)})(s)}`;o.classes.set(s,e),o.element&&o.element.appendChild(document.createTextNode(pn(`.${e}`,t)))}return o.classes.get(s)};function hn(e){const t=dn.get(e);t&&(t.element&&t.element.parentNode&&t.element.parentNode.removeChild(t.element),dn.delete(e))}return{h:N,Fragment:p,createPortal:(e,t,n)=>({tag:f,props:null!=n?{target:t,key:n}:{target:t},children:de(e).filter(e=>null!=e)}),render:bt,renderToString:e=>vt(e,null),hydrate:async(e,t,n={})=>{if(!t)return console.error("Hydrate failed: no container provided"),Promise.reject(new Error("No container provided"));if("string"==typeof t){const e=document.querySelector(t);if(!e)return console.error(`Container not found: ${t}`),Promise.reject(new Error(`Container not found: ${t}`));t=e}const r=++y;g.set(t,r);const o=S(e);if(o.length>0){if(await b(o),g.get(t)!==r)return void console.log("Hydrate request superseded, aborting");e=C(e)}let s;St(t),te(t),t.hasAttribute("data-domkit-container")||t.setAttribute("data-domkit-container","true"),$t=!1!==n.reportMismatches;try{s=jt(t,t.firstChild,e,null);let n=Je(s).nextSibling;for(;n;){const r=n.nextSibling;8===n.nodeType||xt(n)||_t("unexpected extra node",n,e),t.removeChild(n),n=r}}finally{$t=!0}t._vdom=e,t._mounted=s,t._externallyModified=!1,t._observer&&t._observer.takeRecords(),E(s,()=>{g.get(t)===r&&Ct(e,t)})},createComponent:e=>t=>{try{return e(t)}catch(e){if(De&&Le(De,Wt))throw e;return console.error("Component render error:",e),N("div",{className:"error"},["Component error"])}},createApp:(e,t,n)=>{const r="string"==typeof n?document.querySelector(n):n;if(!r)return void console.error(`Container not found: ${n}`);const o=Lt(t)?t:DomKit.createState(t),s=()=>{const t=e(o.getState(),o.setState.bind(o),o.dispatch);DomKit.render(t,r)};return o.subscribe(s),s(),{getState:o.getState,setState:o.setState,dispatch:o.dispatch}},createState:Ot,createStatefulComponent:(e,t={})=>{const n=Ot(t),r=new Set,o=new Set;let s=null;const a=e=>{o.forEach(t=>{try{t(e)}catch(e){console.error("State listener error:",e)}})};n.subscribe(a);const i=t=>{let o=n;if(De){const[,e]=Rt(0),t=Ut(null);t.current||(t.current=Ot(n.getState()),t.current.forceUpdate=()=>e(e=>e+1)),o=t.current,Kt(()=>{r.add(o);const e=o.subscribe(e=>{o.forceUpdate(),a(e)});return()=>{e(),r.delete(o)}},[])}const{getState:i,setState:l}=o,c=e({...t,state:i(),setState:l});return s=c,c};return i.getState=()=>{const[e]=r;return(e||n).getState()},i.setState=(e,t)=>(r.forEach(t=>t.setState(e)),n.setState(e,t)),i.subscribe=e=>(o.add(e),()=>o.delete(e)),i.forceUpdate=e=>{r.forEach(e=>e.forceUpdate()),e&&s&&DomKit.render(s,e)},i},createStore:(e={},t={})=>{const{reducer:n,middleware:r=[],name:o="store"}=t,s=[];let a=e,i=!1;const l=()=>a,c=e=>(s.push(e),()=>{const t=s.indexOf(e);t>-1&&s.splice(t,1)}),u=e=>{if(!e||"string"!=typeof e.type)return console.error(`Store "${o}": actions must be objects with a string type`,e),e;if(i)throw new Error(`Store "${o}": reducers may not dispatch actions`);const t=a;i=!0;try{a=(e=>{if(e.type===Pt){const t="function"==typeof e.payload?e.payload(a):e.payload;return{...a,...t}}if(e.type===Nt)return e.payload;if(!n)return a;const t=n(a,e);return void 0===t?(console.error(`Store "${o}": reducer returned undefined for action "${e.type}"`),a):t})(e)}finally{i=!1}return a!==t&&(Mt("onTransition",{store:d,name:o,action:e,previousState:t,nextState:a}),s.slice().forEach(n=>{try{n(a,t,e)}catch(e){console.error("Store listener error:",e)}})),e},d={name:o,getState:l,subscribe:c,select:(e,t,n=Object.is)=>{let r=e(a);return c(o=>{const s=e(o);if(n(s,r))return;const a=r;r=s,t(s,a)})},dispatch:u,setState:e=>d.dispatch({type:Pt,payload:e}),replaceState:e=>d.dispatch({type:Nt,payload:e})},p={getState:l,dispatch:e=>d.dispatch(e),setState:e=>d.setState(e),replaceState:e=>d.replaceState(e)};return d.dispatch=r.reduceRight((e,t)=>t(p)(e),u),Mt("onStoreCreated",{store:d,name:o,state:a}),d},connectDevtools:e=>(Tt=e,()=>{Tt===e&&(Tt=null)}),useState:(e,t,n)=>{if(De||"function"!=typeof t)return Rt(e);const r=Ot(e);let o=null;const s=()=>{o=t(r.getState(),r.setState),DomKit.render(o,n)};return r.subscribe(s),Ce(s,s),r},useEffect:Kt,useMemo:It,useRef:Ut,useStore:(e,t=e=>e,n=Object.is)=>{Ve("useStore");const[,r]=Rt(0),o=Ut(t);o.current=t;const s=t(e.getState());return Kt(()=>{const t=e.select(e=>o.current(e),()=>r(e=>e+1),n);return n(o.current(e.getState()),s)||r(e=>e+1),t},[e]),s},createContext:Vt,useContext:Ft,Suspense:qt,lazy:n=>{if(Bt.has(n))return Bt.get(n);const o=({children:o,...s})=>{if(e.has(n))return N(e.get(n),s,o);if(r.has(n))return w(n,s);if(!t.has(n))return console.error(`Lazy component "${n}" is not registered.`),Te(new Error(`Component "${n}" is not registered.`));throw D(n)};return o._lazyComponentName=n,Bt.set(n,o),o},ErrorBoundary:Wt,Transition:({show:e=!0,appear:t=!1,children:n,...r})=>{Ve("Transition");const[o]=Qt(r),s=Ut(!1);if(Kt(()=>{s.current=!0},[]),!e)return null;const a=de(n).map(pe).find(e=>e&&"object"==typeof e);return a?Yt(a,o,()=>t||s.current):null},TransitionGroup:({tag:e,appear:t=!1,moveDuration:n,moveEasing:r="ease",onMove:o,children:s,...a})=>{Ve("TransitionGroup");const[i,l]=Qt(a),c=Ut(!1),u=Ut(new Map).current,d=new Map;u.forEach((e,t)=>{e.isConnected&&!e._transition.leaving?d.set(t,e.getBoundingClientRect()):u.delete(t)}),Kt(()=>{c.current=!0,d.forEach((e,t)=>{const s=u.get(t);if(!s||!s.isConnected||s._transition.leaving)return;const a=s.getBoundingClientRect(),l=e.left-a.left,c=e.top-a.top;if(l||c)if("function"==typeof o)o(s,{x:l,y:c});else if(n&&"function"==typeof s.animate)s.animate([{transform:`translate(${l}px, ${c}px)`},{transform:"none"}],{duration:n,easing:r});else{const e=`${i.name||zt}-move`;s.style.transform=`translate(${l}px, ${c}px)`,s.style.transitionDuration="0s",s.offsetHeight,s.classList.add(e),s.style.transform="",s.style.transitionDuration="",Zt(s,void 0,()=>s.classList.remove(e))}})});const f=de(s).map(pe).map(e=>{const n=le(e);return null==n?(console.warn("DomKit: TransitionGroup children need a key"),e):Yt(e,i,()=>t||c.current,e=>u.set(n,e))});return e?N(e,l,f):N(p,{},f)},createResource:(e,t={})=>{const{staleTime:n=0,key:r=(...e)=>JSON.stringify(e)}=t,o=new Map,s=(e,t)=>{Ae(t,()=>e.subscribers.forEach(He))},a=t=>{const n="undefined"!=typeof AbortController?new AbortController:null,r="success"===t.status;t.controller=n,t.revalidating=r,t.errorShown=!1,r||(t.status="pending");const o=()=>t.controller===n;return t.promise=Promise.resolve().then(()=>{if(o())return e(...t.args,{signal:n?n.signal:void 0})}).then(e=>{o()&&(Object.assign(t,{status:"success",data:e,error:null,updatedAt:Date.now(),controller:null,revalidating:!1,freshFlush:ye+1}),ke(),s(t,r?"background":void 0))},e=>{o()&&(t.controller=null,t.revalidating=!1,r?console.warn("Resource revalidation failed:",e):(t.status="error",t.error=e),s(t,r?"background":void 0))}),t.promise},i=e=>{const t=r(...e);let n=o.get(t);return n||(n={key:t,args:e,status:"pending",data:void 0,error:null,updatedAt:0,subscribers:new Set,controller:null,promise:null,revalidating:!1,errorShown:!1,freshFlush:0},o.set(t,n),a(n)),n},l=e=>e.controller?e.promise:a(e),c=e=>{e.controller&&(e.controller.abort(),e.controller=null,e.revalidating=!1,"pending"===e.status&&o.get(e.key)===e&&o.delete(e.key))},u=(e,t)=>{const r=Ve(e),o=r.hookIndex++,s=r.hooks[o]||(r.hooks[o]={entry:null}),a=i(t);if(s.entry!==a){const e=s.entry;s.entry=a,a.subscribers.add(r),e&&((e,t)=>{e.subscribers.delete(t),0===e.subscribers.size&&c(e)})(e,r),((e=>"success"===e.status&&!(ve&&e.freshFlush===ve)&&Date.now()-e.updatedAt>=n)(a)||"error"===a.status&&a.errorShown)&&l(a),s.cleanup=()=>s.entry&&s.entry.subscribers.delete(r)}return a},d=e=>o.get(r(...e));return{read:(...e)=>{const t=De?u("resource.read",e):i(e);if("success"===t.status)return t.data;if("error"===t.status)throw t.errorShown=!0,t.error;throw t.promise},preload:(...e)=>i(e).promise.then(()=>d(e)&&d(e).data),refetch:(...e)=>{const t=i(e);return l(t).then(()=>t.data)},invalidate:(...e)=>{(e.length>0?[d(e)]:Array.from(o.values())).forEach(e=>{e&&Object.assign(e,{updatedAt:0,freshFlush:0})})},clear:()=>{o.forEach(c),o.clear()},_use:e=>{const t=u("useResource",e);return"error"===t.status&&(t.errorShown=!0),{data:t.data,error:"error"===t.status?t.error:null,loading:"pending"===t.status,refreshing:t.revalidating,refetch:()=>l(t)}}}},useResource:(e,...t)=>e._use(t),createRouter:(e={})=>{const{routes:t=[],mode:n="history",base:r="",beforeEach:o,afterEach:s,scrollRestoration:a=!0}=e;let i=e.container||null;const l=e=>{e.forEach(e=>{"string"==typeof e.component&&e.componentPath&&P(e.component,e.componentPath),Array.isArray(e.children)&&l(e.children)})};l(t);const c=nn(t),u=new Map;let d=null,p=0,f=null,h=null,m=null,g=!1;const y=e=>{const{path:t,query:n,hash:r}=rn(e);for(const o of c){const s=o.regexp.exec(t);if(!s)continue;const a={};return o.keys.forEach((e,t)=>{a[e]=void 0===s[t+1]?"":decodeURIComponent(s[t+1])}),{path:t,fullPath:e,query:n,hash:r,params:a,matched:o.chain}}return null},w=()=>{if("hash"===n)return window.location.hash.slice(1)||"/";const e=window.location.pathname;return`${(r&&e.startsWith(r)?e.slice(r.length):e)||"/"}${window.location.search}`},S=e=>"hash"===n?`#${e}`:`${r}${e}`,k=()=>`${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`,E=()=>window.history.state&&window.history.state.domkitKey||window.location.href,C=()=>{const e=window.history.state;return e&&"number"==typeof e.domkitIndex?e.domkitIndex:null},$=(e,t)=>{const n=t?{domkitKey:E(),domkitIndex:C()}:{domkitKey:k(),domkitIndex:null===h?null:h+1};window.history[t?"replaceState":"pushState"](n,"",S(e))},_=e=>{const t=C();null!==t&&null!==h&&t!==h?(m=h,window.history.go(h-t)):$(e.fullPath,!0)},x=async(e,t,n=0)=>{const r=++p,l=d,c=y(e);if(!c)return console.warn(`No route matches "${e}"`),!1;const m=[o,...c.matched.map(e=>e.beforeEnter)].filter(e=>"function"==typeof e);for(const o of m){let s;try{s=await o(c,l)}catch(e){console.error("Navigation guard error:",e),s=!1}if(r!==p)return!1;if(!1===s)return"pop"===t&&l&&_(l),!1;if("string"==typeof s)return n>=10?(console.error(`Too many redirects navigating to "${e}"`),!1):x(s,"push"===t?"push":"replace",n+1)}const g=c.matched.map(e=>e.component).filter(e=>"string"==typeof e&&v(e));return await b(g),r===p&&(a&&f&&u.set(f,{x:window.scrollX||0,y:window.scrollY||0}),"push"!==t&&"replace"!==t||$(c.fullPath,"replace"===t),f=E(),h=C(),d=c,await bt((e=>{const t=e.matched.reduceRight((t,n)=>{const r={...n.props,params:e.params,query:e.query,route:e};return N(n.component,r,null===t?[]:[t])},null);return N(en.Provider,{value:{router:T,route:e}},[t])})(c),i),(e=>{if(!a||"initial"===e)return;const t="pop"===e?u.get(f):null;try{window.scrollTo(t?t.x:0,t?t.y:0)}catch(e){console.warn("Scroll restoration failed:",e)}})(t),"function"==typeof s&&s(c,l),!0)},j=e=>x(e,"pop").catch(e=>(console.error("Navigation failed:",e),!1)),A=()=>{if(null===m)return!1;const e=C()===m;return m=null,e},D=()=>{A()||j(w())},O=()=>{A()||d&&w()===d.fullPath||j(w())},T={get current(){return d},href:S,match:y,navigate:(e,t={})=>x(e,t.replace?"replace":"push"),back:()=>window.history.back(),forward:()=>window.history.forward(),start:e=>(e&&(i=e),"string"==typeof i&&(i=document.querySelector(i)),i?(g||(g=!0,a&&"scrollRestoration"in window.history&&(window.history.scrollRestoration="manual"),window.addEventListener("hash"===n?"hashchange":"popstate","hash"===n?O:D),window.history.state&&window.history.state.domkitKey||window.history.replaceState({...window.history.state,domkitKey:k(),domkitIndex:0},"")),x(w(),"initial")):(console.error("Router start failed: no container provided"),Promise.resolve(!1))),stop(){g&&(g=!1,window.removeEventListener("hash"===n?"hashchange":"popstate","hash"===n?O:D))}};return T},useRouter:()=>{const e=Ft(en);return e?e.router:null},useRoute:()=>{const e=Ft(en);return e?e.route:null},Link:({to:e,replace:t=!1,exact:n=!1,activeClassName:r="active",className:o,onClick:s,children:a,...i})=>{const l=Ft(en);if(!l)return console.error("DomKit.Link must be rendered inside a router"),N("a",{...i,className:o,href:e},a);const{router:c,route:u}=l,d=rn(e).path.replace(/(.)\/$/,"$1"),p=!!u&&(u.path===d||!n&&"/"!==d&&u.path.startsWith(`${d}/`));return N("a",{...i,href:c.href(e),className:[o,p&&r].filter(Boolean).join(" ")||void 0,"aria-current":p?"page":void 0,onClick:n=>{"function"==typeof s&&s(n),n.defaultPrevented||0!==n.button||i.target||n.metaKey||n.ctrlKey||n.shiftKey||n.altKey||(n.preventDefault(),c.navigate(e,{replace:t}))}},a)},flushSync:e=>{const t="function"==typeof e?Ae("user",e):void 0;let n=0;for(;je();){if(++n>100){console.error("flushSync: updates keep scheduling more updates, giving up");break}xe()}return qe(),t},withPriority:Ae,scheduleUpdate:(e,t)=>Ce(e,e,t),createForm:un,useForm:(e,t)=>{Ve("useForm");const[,n]=Rt(0),r=It(()=>on.has(e)?e:un(e,t),[]);return Kt(()=>r.subscribe(()=>n(e=>e+1)),[r]),r},createInputField:(e={})=>{void 0===e.value&&(e.value=""),"function"!=typeof e.onChange&&(e.onChange=()=>{});const{value:t,onChange:n,...r}=e;let o=null;const s=DomKit.h("input",{...r,value:t||"",onChange:e=>{n&&n(e.target.value,e)},ref:e=>{o=e}});return s._customRender=()=>{const e=document.activeElement===o,t={start:o?o.selectionStart:0,end:o?o.selectionEnd:0};return()=>{e&&o&&(o.focus(),o.setSelectionRange(t.start,t.end))}},s},css:fn,styled:(e,t,n)=>(r={})=>{const{children:o,className:s,...a}=r,i=fn("function"==typeof t?t(r):t,n);return N(e,{...a,className:s?`${i} ${s}`:i},o)},memo:(e,t)=>{if("function"!=typeof e)return console.error("DomKit.memo: First argument must be a component function"),e;let n=null,r=null;return(o={})=>{const s=!t||t(n,o);if(!r||s)try{r=e(o),n=o}catch(e){if(De&&Le(De,Wt))throw e;return console.error("DomKit.memo: Component render error:",e),N("div",{className:"error"},["Component error"])}return r}},configureComponentLoader:function(e={}){e.domain&&(s=e.domain),e.componentPath&&(a=e.componentPath),e.loader&&("script"===e.loader||"module"===e.loader?i=e.loader:console.warn(`Unknown component loader "${e.loader}", expected "script" or "module"`)),"function"==typeof e.importModule&&(l=e.importModule),"number"==typeof e.timeout&&(c=e.timeout),"number"==typeof e.retries&&(u=e.retries),"number"==typeof e.retryDelay&&(d=e.retryDelay),e.components&&Object.entries(e.components).forEach(([e,t])=>{t&&"object"==typeof t?P(e,t.path,t):P(e,t)}),console.log(`Component loader configured: ${s}${a}`)},loadComponent:D,preloadComponents:function(e){return Promise.all(e.map(e=>D(e)))},isComponentLoaded:O,getComponent:function(t){if(!O(t))throw new Error(`Component "${t}" is not loaded. Call loadComponent() first.`);return e.get(t)},registerComponent:P,getComponentConfig:function(){return{domain:s,path:a,loader:i,registeredComponents:Array.from(t.entries()),loadedComponents:Array.from(e.keys())}},registerDomKitComponent:m,unloadComponent:$,unloadAllComponents:_,cleanupComponentLoader:function(){_(),t.clear(),n.clear(),r.clear(),o.clear(),Array.from(dn.keys()).forEach(hn)},isComponentRegistered:e=>t.has(e),getLoadingComponents:()=>Array.from(n.keys()),cleanup(e){"string"==typeof e&&(e=document.querySelector(e)),e&&(wt(e),g.delete(e))},cleanupAll(){document.querySelectorAll("[data-domkit-container]").forEach(wt)},mount(e,t){bt(N(e),t)},inject:(e,t,n)=>At("function"==typeof e?N(e):e,t,n),updateInjected:(e,t,n)=>Dt("function"==typeof e?N(e):e,t,n),append:(e,t)=>At("function"==typeof e?N(e):e,t,"append"),prepend:(e,t)=>At("function"==typeof e?N(e):e,t,"prepend")}}();"undefined"!=typeof module&&module.exports?(module.exports=DomKit,module.exports.default=DomKit):"undefined"!=typeof window&&(window.registerDomKitComponent=DomKit.registerDomKitComponent);
\ No newline at end of file
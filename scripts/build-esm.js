@@ -0,0 +1,44 @@
+/**
+ * Builds DomKit.mjs, the ES module version of DomKit.js.
+ *
+ * DomKit.js is the source: it runs as a script tag or as CommonJS. The ES
+ * module gets the same factory, followed by real `export` statements, so it
+ * works in browsers and anywhere else that loads it as an ES module.
+ *
+ * Usage: node scripts/build-esm.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const source = fs.readFileSync(path.join(root, "DomKit.js"), "utf8");
+
+// The factory, from `const DomKit = (function () {` to the `})();` closing it
+const start = source.indexOf("const DomKit = (function () {");
+const end = source.indexOf("\n})();", start);
+if (start === -1 || end === -1) {
+  throw new Error("Could not find the DomKit factory in DomKit.js");
+}
+const factory = source.slice(start, end + "\n})();".length);
+
+const version = (source.match(/Version: (\S+)/) || [])[1] || "";
+const names = Object.keys(require(path.join(root, "DomKit.js"))).filter((name) => name !== "default");
+
+const output = `/**
+ * DomKit - ES module build${version ? ` (${version})` : ""}
+ * Generated from DomKit.js by scripts/build-esm.js, do not edit by hand.
+ * Exports every API function by name and defines no globals.
+ */
+
+${factory}
+
+export const {
+${names.map((name) => `  ${name},`).join("\n")}
+} = DomKit;
+
+export default DomKit;
+`;
+
+fs.writeFileSync(path.join(root, "DomKit.mjs"), output);
+console.log(`DomKit.mjs: ${names.length} exports`);
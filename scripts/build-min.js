@@ -0,0 +1,30 @@
+/**
+ * Builds DomKit.min.js, the minified script tag version of DomKit.js, and the
+ * copy in docs/ that the demo page loads.
+ *
+ * Minifies with terser, fetched through npx when it is not installed.
+ *
+ * Usage: node scripts/build-min.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const root = path.join(__dirname, "..");
+const source = fs.readFileSync(path.join(root, "DomKit.js"), "utf8");
+
+// The header comment is kept, everything else is minified
+const header = (source.match(/^\/\*\*[\s\S]*?\*\//) || [""])[0];
+
+const minified = execFileSync(
+  process.platform === "win32" ? "npx.cmd" : "npx",
+  ["--yes", "terser@5", path.join(root, "DomKit.js"), "--compress", "--mangle", "--ecma", "2020"],
+  { encoding: "utf8", maxBuffer: 16 * 1024 * 1024 }
+).trim();
+
+const output = `${header}\n${minified}`;
+["DomKit.min.js", path.join("docs", "DomKit.min.js")].forEach((file) => {
+  fs.writeFileSync(path.join(root, file), output);
+  console.log(`${file}: ${output.length} bytes`);
+});